@@ -8,8 +8,17 @@
 import { Model } from './core/model.js';
 import { Sources } from './core/sources.js';
 import { Manufacturing } from './core/manufacturing.js';
+import { Production } from './core/production.js';
+import { Generator } from './core/generator.js';
+import { Campaign } from './core/campaign.js';
+import { Spatial } from './core/spatial.js';
+import { MonteCarlo } from './core/montecarlo.js';
+import { SolverInterfaces } from './core/solverInterfaces.js';
+import { OpenMCInterface } from './core/openmcInterface.js';
 import { NuclearData } from './data/nuclearData.js';
 import { PathwaysRegistry, getRouteById } from './data/pathways.js';
+import { TargetMaterials } from './data/materials.js';
+import { ModeratorMaterials } from './data/moderators.js';
 
 // State Management
 const State = {
@@ -17,19 +26,76 @@ const State = {
     inputs: {
         sourceType: 'fixed_flux', // fixed_flux, dt_generator, gdt_trap
         flux: 1e14, // n/cm2/s (direct override)
+        epithermalRatio: 0.03, // φ_epi (per unit lethargy) / φ_th at the irradiation position
 
         // Source Configs
         dt_yield: 1e12, // n/s
         gdt_power: 2,   // MW
+        gdt_length: 500,         // cm (emitting plasma column)
+        gdt_radius: 3,           // cm
+        gdt_profile: 'uniform',  // Sources.GDT_AXIAL_PROFILES id
+        axialPosition: 0,        // cm (target position along the GDT axis, from the column centre)
+        reactor_thermal: 1e14,   // n/cm2/s
+        reactor_epithermal: 3e12, // per unit lethargy
+        reactor_fast: 5e13,
+        reactor_cycle: 28,       // days at power
+        reactor_outage: 7,       // days between cycles
+        acc_converter: 'd_be',   // Sources.ACCELERATOR_CONVERTERS id
+        acc_current: 1000,       // µA
+        acc_energy: 40,          // MeV
+
+        // Moderator Assembly (D-T / accelerator sources, see Moderator.regions)
+        moderatorLayout: 'none',     // none, shell, reflected
+        moderatorMaterial: 'H2O',    // ModeratorMaterials id
+        moderatorThickness: 20,      // cm (moderator sphere radius)
+        reflectorMaterial: 'graphite',
+        reflectorThickness: 10,      // cm
 
         // Geometry
         distance: 10,   // cm
 
-        time: 7,    // days
+        time: 7,    // days (irradiation window, downtime included)
         mass: 10,   // mg
-        cooling: 0  // hours
+        cooling: 0, // hours
+
+        // Operating Profile (Sources.irradiationSchedule)
+        profile: 'constant',  // constant, duty_cycle, ramp, step
+        profilePeriod: 168,   // hours (duty cycle)
+        profileDuty: 0.714,   // beam-on fraction (5 of 7 days)
+        profileRamp: 4,       // hours (startup ramp)
+        profileStepTime: 120, // hours
+        profileStepFactor: 0, // flux fraction after the step (0 = outage)
+        shelfLife: 7, // days after delivery (expiry / calibration reference)
+
+        // Irradiation Campaign
+        campaignCycles: 1,   // irradiation cycles (1 = single run)
+        campaignGap: 2,      // days between cycles (harvest, target swap, maintenance)
+        campaignReload: 1.0, // fraction of target replaced per cycle (1 = fresh target each cycle)
+
+        // Target Geometry (self-shielding)
+        targetShape: 'disk',    // disk, cylinder, sphere, plate, annulus
+        targetRadius: 0.25,     // cm (outer radius for the annulus)
+        targetThickness: 0.005, // cm (disk/plate/annulus thickness, cylinder length)
+        targetWidth: 1.0,       // cm (plate)
+        targetHeight: 1.0,      // cm (plate)
+        targetInnerRadius: 0.1, // cm (annulus)
+        targetOffset: 0,        // cm (lateral offset of the target centre from the source axis)
+        chemicalForm: 'metal',  // TargetMaterials.chemicalForms id
+        targetDensity: 9.84,    // g/cm3
+        enrichment: '',         // '' = natural, '99.5' = % target isotope, '100: 99.5, 98: 0.4' = isotope vector (%)
+
+        // Generator Elution (reset to the route's generator defaults)
+        elutionInterval: 24,    // hours
+        elutionEfficiency: 0.9, // fraction
+        breakthrough: 1e-5,     // parent fraction per elution
+        generatorShelfLife: 14, // days
+
+        // Monte Carlo Verification (MonteCarlo, run in a Web Worker)
+        mcHistories: 100000,
+        mcSeed: 12345
     },
-    results: null
+    results: null,
+    monteCarloWorker: null
 };
 
 /**
@@ -39,6 +105,7 @@ function init() {
     console.log("ASPL Digital Twin v3 Initializing...");
 
     populateRouteSelector();
+    populateModeratorSelectors();
     setupEventListeners();
 
     // Select first route by default
@@ -70,7 +137,16 @@ function setupEventListeners() {
     });
 
     // Numeric Inputs
-    ['fluxInput', 'timeInput', 'massInput', 'coolingInput', 'dtYieldInput', 'gdtPowerInput', 'distInput'].forEach(id => {
+    ['fluxInput', 'epiRatioInput', 'timeInput', 'massInput', 'coolingInput', 'shelfLifeInput', 'dtYieldInput', 'gdtPowerInput', 'distInput',
+        'gdtLengthInput', 'gdtRadiusInput', 'gdtAxialInput',
+        'reactorThermalInput', 'reactorEpithermalInput', 'reactorFastInput', 'reactorCycleInput', 'reactorOutageInput',
+        'beamCurrentInput', 'beamEnergyInput', 'moderatorThicknessInput', 'reflectorThicknessInput',
+        'targetRadiusInput', 'targetThicknessInput', 'targetDensityInput', 'enrichmentInput',
+        'targetWidthInput', 'targetHeightInput', 'targetInnerRadiusInput', 'targetOffsetInput',
+        'elutionIntervalInput', 'elutionEfficiencyInput', 'breakthroughInput', 'generatorShelfLifeInput',
+        'profilePeriodInput', 'profileDutyInput', 'profileRampInput', 'profileStepTimeInput', 'profileStepFactorInput',
+        'campaignCyclesInput', 'campaignGapInput', 'campaignReloadInput',
+        'monteCarloHistoriesInput', 'monteCarloSeedInput'].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener('input', handleInputChange);
     });
@@ -84,12 +160,78 @@ function setupEventListeners() {
             calculate();
         });
     }
+
+    // Accelerator Converter (beam energy reset to the converter's typical energy)
+    document.getElementById('converterSelector').addEventListener('change', (e) => {
+        State.inputs.acc_converter = e.target.value;
+        State.inputs.acc_energy = Sources.ACCELERATOR_CONVERTERS[e.target.value].defaultEnergy_MeV;
+        document.getElementById('beamEnergyInput').value = State.inputs.acc_energy;
+        calculate();
+    });
+
+    // Moderator Assembly
+    document.getElementById('moderatorLayoutSelector').addEventListener('change', (e) => {
+        State.inputs.moderatorLayout = e.target.value;
+        document.getElementById('groupReflector').style.display = e.target.value === 'reflected' ? 'block' : 'none';
+        calculate();
+    });
+    document.getElementById('moderatorMaterialSelector').addEventListener('change', (e) => {
+        State.inputs.moderatorMaterial = e.target.value;
+        calculate();
+    });
+    document.getElementById('reflectorMaterialSelector').addEventListener('change', (e) => {
+        State.inputs.reflectorMaterial = e.target.value;
+        calculate();
+    });
+
+    // GDT Axial Emission Profile
+    document.getElementById('gdtProfileSelector').addEventListener('change', (e) => {
+        State.inputs.gdt_profile = e.target.value;
+        calculate();
+    });
+
+    // Operating Profile Selector
+    document.getElementById('profileSelector').addEventListener('change', (e) => {
+        State.inputs.profile = e.target.value;
+        toggleProfileInputs(e.target.value);
+        calculate();
+    });
+
+    // Target Shape / Chemical Form Selectors
+    document.getElementById('targetShapeSelector').addEventListener('change', (e) => {
+        State.inputs.targetShape = e.target.value;
+        toggleShapeInputs(e.target.value);
+        calculate();
+    });
+    document.getElementById('chemicalFormSelector').addEventListener('change', (e) => {
+        selectChemicalForm(e.target.value);
+        calculate();
+    });
+
+    document.getElementById('monteCarloRunButton').addEventListener('click', runMonteCarlo);
+    document.getElementById('exportMCNPButton').addEventListener('click', exportMCNP);
+    document.getElementById('exportOpenMCButton').addEventListener('click', exportOpenMC);
 }
 
 function toggleSourceInputs(type) {
     document.getElementById('groupFixed').style.display = type === 'fixed_flux' ? 'block' : 'none';
     document.getElementById('groupDT').style.display = type === 'dt_generator' ? 'block' : 'none';
     document.getElementById('groupGDT').style.display = type === 'gdt_trap' ? 'block' : 'none';
+    document.getElementById('groupReactor').style.display = type === 'reactor' ? 'block' : 'none';
+    document.getElementById('groupAccelerator').style.display = type === 'accelerator' ? 'block' : 'none';
+    document.getElementById('groupModerator').style.display = Sources.acceptsModerator(type) ? 'block' : 'none';
+    document.getElementById('monteCarloResults').style.display = Sources.isFastSource(type) ? 'block' : 'none';
+}
+
+function toggleProfileInputs(type) {
+    document.getElementById('groupProfileDuty').style.display = type === 'duty_cycle' ? 'grid' : 'none';
+    document.getElementById('groupProfileRamp').style.display = type === 'duty_cycle' || type === 'ramp' ? 'block' : 'none';
+    document.getElementById('groupProfileStep').style.display = type === 'step' ? 'grid' : 'none';
+}
+
+function toggleShapeInputs(shape) {
+    document.getElementById('groupTargetPlate').style.display = shape === 'plate' ? 'block' : 'none';
+    document.getElementById('groupTargetAnnulus').style.display = shape === 'annulus' ? 'block' : 'none';
 }
 
 /**
@@ -99,17 +241,63 @@ function handleInputChange(e) {
     const id = e.target.id;
     const val = parseFloat(e.target.value);
 
+    if (id === 'enrichmentInput') {
+        State.inputs.enrichment = e.target.value.trim();
+        calculate();
+        return;
+    }
+
     // if (isNaN(val)) return; // Allow typing
 
     if (id === 'fluxInput') State.inputs.flux = val;
+    if (id === 'epiRatioInput') State.inputs.epithermalRatio = val;
     if (id === 'timeInput') State.inputs.time = val;
     if (id === 'massInput') State.inputs.mass = val;
     if (id === 'coolingInput') State.inputs.cooling = val;
+    if (id === 'shelfLifeInput') State.inputs.shelfLife = val;
+
+    if (id === 'campaignCyclesInput') State.inputs.campaignCycles = Math.floor(val);
+    if (id === 'campaignGapInput') State.inputs.campaignGap = val;
+    if (id === 'campaignReloadInput') State.inputs.campaignReload = val / 100;
+
+    if (id === 'monteCarloHistoriesInput') State.inputs.mcHistories = Math.floor(val);
+    if (id === 'monteCarloSeedInput') State.inputs.mcSeed = Math.floor(val);
+
+    if (id === 'profilePeriodInput') State.inputs.profilePeriod = val;
+    if (id === 'profileDutyInput') State.inputs.profileDuty = val / 100;
+    if (id === 'profileRampInput') State.inputs.profileRamp = val;
+    if (id === 'profileStepTimeInput') State.inputs.profileStepTime = val;
+    if (id === 'profileStepFactorInput') State.inputs.profileStepFactor = val / 100;
+
+    if (id === 'elutionIntervalInput') State.inputs.elutionInterval = val;
+    if (id === 'elutionEfficiencyInput') State.inputs.elutionEfficiency = val / 100;
+    if (id === 'breakthroughInput') State.inputs.breakthrough = val;
+    if (id === 'generatorShelfLifeInput') State.inputs.generatorShelfLife = val;
 
     if (id === 'dtYieldInput') State.inputs.dt_yield = val;
     if (id === 'gdtPowerInput') State.inputs.gdt_power = val;
+    if (id === 'gdtLengthInput') State.inputs.gdt_length = val;
+    if (id === 'gdtRadiusInput') State.inputs.gdt_radius = val;
+    if (id === 'gdtAxialInput') State.inputs.axialPosition = val;
+    if (id === 'reactorThermalInput') State.inputs.reactor_thermal = val;
+    if (id === 'reactorEpithermalInput') State.inputs.reactor_epithermal = val;
+    if (id === 'reactorFastInput') State.inputs.reactor_fast = val;
+    if (id === 'reactorCycleInput') State.inputs.reactor_cycle = val;
+    if (id === 'reactorOutageInput') State.inputs.reactor_outage = val;
+    if (id === 'beamCurrentInput') State.inputs.acc_current = val;
+    if (id === 'beamEnergyInput') State.inputs.acc_energy = val;
+    if (id === 'moderatorThicknessInput') State.inputs.moderatorThickness = val;
+    if (id === 'reflectorThicknessInput') State.inputs.reflectorThickness = val;
     if (id === 'distInput') State.inputs.distance = val;
 
+    if (id === 'targetRadiusInput') State.inputs.targetRadius = val;
+    if (id === 'targetThicknessInput') State.inputs.targetThickness = val;
+    if (id === 'targetWidthInput') State.inputs.targetWidth = val;
+    if (id === 'targetHeightInput') State.inputs.targetHeight = val;
+    if (id === 'targetInnerRadiusInput') State.inputs.targetInnerRadius = val;
+    if (id === 'targetOffsetInput') State.inputs.targetOffset = val;
+    if (id === 'targetDensityInput') State.inputs.targetDensity = val;
+
     calculate();
 }
 
@@ -119,9 +307,81 @@ function handleInputChange(e) {
 function selectRoute(routeId) {
     State.route = getRouteById(routeId);
     renderStaticRouteInfo();
+    populateChemicalForms();
+    applyGeneratorDefaults();
     calculate();
 }
 
+/**
+ * Show the Elution Schedule for Generator Routes and reset it to the Route Defaults
+ */
+function applyGeneratorDefaults() {
+    const gen = State.route.generator;
+    document.getElementById('groupGenerator').style.display = gen ? 'block' : 'none';
+    document.getElementById('generatorResults').style.display = gen ? 'block' : 'none';
+    if (!gen) return;
+
+    State.inputs.elutionInterval = gen.elutionInterval;
+    State.inputs.elutionEfficiency = gen.efficiency;
+    State.inputs.breakthrough = gen.breakthrough;
+    State.inputs.generatorShelfLife = gen.shelfLife;
+    document.getElementById('elutionIntervalInput').value = gen.elutionInterval;
+    document.getElementById('elutionEfficiencyInput').value = gen.efficiency * 100;
+    document.getElementById('breakthroughInput').value = gen.breakthrough;
+    document.getElementById('generatorShelfLifeInput').value = gen.shelfLife;
+}
+
+/**
+ * Populate Chemical Form Selector for the Route's Target Element
+ * Keeps the current form if the new element offers it, else falls back to the first.
+ */
+function populateChemicalForms() {
+    const element = Model.extractElementSymbol(State.route.target.isotope);
+    const forms = TargetMaterials.getChemicalForms(element);
+    const selector = document.getElementById('chemicalFormSelector');
+    selector.innerHTML = '';
+
+    forms.forEach(form => {
+        const option = document.createElement('option');
+        option.value = form.id;
+        option.textContent = `${form.formula} (${form.id})`;
+        selector.appendChild(option);
+    });
+
+    const keep = forms.find(f => f.id === State.inputs.chemicalForm);
+    selectChemicalForm(keep ? keep.id : (forms[0] && forms[0].id));
+}
+
+/**
+ * Populate Moderator / Reflector Material Dropdowns
+ */
+function populateModeratorSelectors() {
+    [['moderatorMaterialSelector', State.inputs.moderatorMaterial],
+        ['reflectorMaterialSelector', State.inputs.reflectorMaterial]].forEach(([id, selected]) => {
+        const selector = document.getElementById(id);
+        Object.entries(ModeratorMaterials.materials).forEach(([key, mat]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = mat.name;
+            selector.appendChild(option);
+        });
+        selector.value = selected;
+    });
+}
+
+/**
+ * Select Chemical Form and reset Density to its handbook value
+ */
+function selectChemicalForm(formId) {
+    const element = Model.extractElementSymbol(State.route.target.isotope);
+    const form = TargetMaterials.getChemicalForm(element, formId);
+    State.inputs.chemicalForm = form ? form.id : null;
+    if (form) State.inputs.targetDensity = form.density;
+
+    document.getElementById('chemicalFormSelector').value = State.inputs.chemicalForm || '';
+    document.getElementById('targetDensityInput').value = form ? form.density : '';
+}
+
 /**
  * Render Static Info (Half-life, etc.)
  */
@@ -131,7 +391,81 @@ function renderStaticRouteInfo() {
     document.getElementById('targetIsotopeDisplay').textContent = State.route.target.isotope;
     document.getElementById('productIsotopeDisplay').textContent = State.route.product.isotope;
     document.getElementById('halfLifeDisplay').textContent = `${State.route.product.halfLife} days`;
-    document.getElementById('reactionDisplay').textContent = State.route.target.reaction;
+    const steps = State.route.intermediates || [];
+    const via = steps.map(step => ` → ${step.isotope} (${(step.halfLife * 24).toPrecision(3)} h)`).join('');
+    document.getElementById('reactionDisplay').textContent = steps.length > 0
+        ? `${State.route.target.reaction}${via} → ${State.route.product.isotope}`
+        : State.route.target.reaction;
+    document.getElementById('resonanceDisplay').textContent =
+        State.route.crossSection.resonance ? `${State.route.crossSection.resonance} b` : '-';
+}
+
+/**
+ * Build Source Parameters for the Selected Source Type
+ * Starts from Sources.getDefaults() and overlays the user-entered values.
+ */
+function buildSourceParams() {
+    const { sourceType, flux, epithermalRatio, dt_yield, gdt_power, gdt_length, gdt_radius, gdt_profile } = State.inputs;
+    const i = State.inputs;
+    const params = { ...Sources.getDefaults(sourceType) };
+
+    if (sourceType === Sources.TYPES.FIXED_FLUX) {
+        params.flux = flux;
+        params.epithermalRatio = epithermalRatio > 0 ? epithermalRatio : 0;
+    }
+    if (sourceType === Sources.TYPES.DT_GENERATOR) params.yieldRate_n_s = dt_yield;
+    if (sourceType === Sources.TYPES.GDT_TRAP) {
+        params.fusionPower_MW = gdt_power;
+        params.plasmaLength_cm = gdt_length;
+        params.plasmaRadius_cm = gdt_radius;
+        params.wallRadius_cm = Math.max(params.wallRadius_cm, gdt_radius + 2); // 2 cm vacuum gap minimum
+        params.axialProfile = gdt_profile;
+    }
+    if (sourceType === Sources.TYPES.REACTOR) {
+        params.thermalFlux = i.reactor_thermal;
+        params.epithermalFlux = i.reactor_epithermal;
+        params.fastFlux = i.reactor_fast;
+        params.cycleLength_days = i.reactor_cycle;
+        params.outage_days = i.reactor_outage;
+    }
+    if (sourceType === Sources.TYPES.ACCELERATOR) {
+        params.converter = i.acc_converter;
+        params.beamCurrent_uA = i.acc_current;
+        params.beamEnergy_MeV = i.acc_energy;
+    }
+    if (Sources.acceptsModerator(sourceType) && i.moderatorLayout !== 'none') {
+        params.moderator = {
+            layout: i.moderatorLayout,
+            material: i.moderatorMaterial,
+            thickness_cm: i.moderatorThickness,
+            reflectorMaterial: i.reflectorMaterial,
+            reflectorThickness_cm: i.reflectorThickness
+        };
+    }
+
+    return params;
+}
+
+/**
+ * Build the Operating Profile for Sources.irradiationSchedule (hours -> seconds)
+ * The continuous profile follows the source's own operating cycle, if any (reactor cycle,
+ * GDT duty cycle and availability).
+ */
+function buildProfile(sourceParams) {
+    const { sourceType, profile, profilePeriod, profileDuty, profileRamp, profileStepTime, profileStepFactor } = State.inputs;
+    if (profile === Sources.PROFILES.CONSTANT) {
+        const cycle = Sources.cycleProfile(sourceType, sourceParams);
+        if (cycle) return cycle;
+    }
+    return {
+        type: profile,
+        period_s: profilePeriod * 3600,
+        dutyFraction: profileDuty,
+        rampTime_s: profileRamp > 0 ? profileRamp * 3600 : 0,
+        startFactor: 0,
+        stepTime_s: profileStepTime * 3600,
+        stepFactor: profileStepFactor
+    };
 }
 
 /**
@@ -140,57 +474,366 @@ function renderStaticRouteInfo() {
 function calculate() {
     if (!State.route) return;
 
-    const { flux, time, mass, cooling } = State.inputs;
+    const { sourceType, distance, time, mass, cooling, shelfLife } = State.inputs;
+
+    // 0. Effective Flux Spectrum from the selected Source model
+    const sourceParams = buildSourceParams();
+    const axial = sourceType === Sources.TYPES.GDT_TRAP ? (State.inputs.axialPosition || 0) : 0;
+    let spectrum;
+    let wallLoading = null;
+    try {
+        spectrum = Sources.calculateSpectrum(sourceType, sourceParams, distance, axial);
+        if (sourceType === Sources.TYPES.GDT_TRAP) wallLoading = Sources.gdtWallLoading(sourceParams);
+        if (sourceType === Sources.TYPES.ACCELERATOR) updateAcceleratorDisplay(Sources.acceleratorYield(sourceParams));
+    } catch (err) {
+        showInvalidInput(err.message);
+        return;
+    }
+    updateWallLoadingDisplay(wallLoading);
+    const flux = Sources.totalFlux(spectrum);
+    updateFluxDisplay(flux, spectrum);
+    if (!(flux >= 0)) return; // Incomplete input (NaN) while typing
+
+    // Threshold reactions: block when the source has no neutrons above threshold (e.g. thermal fixed flux)
+    const threshold = Production.thresholdCheck(State.route, spectrum);
+    if (threshold.threshold_MeV > 0 && !(threshold.phiAbove > 0)) {
+        showInvalidInput(`${State.route.name} is a ${State.route.target.reaction} threshold reaction ` +
+            `(${threshold.threshold_MeV} MeV), but the selected source has no flux above threshold. ` +
+            'Select a D-T, GDT or accelerator source, or a reactor position with fast flux.');
+        return;
+    }
+
     const time_seconds = time * 24 * 3600;
+    let schedule;
+    try {
+        schedule = Sources.irradiationSchedule(buildProfile(sourceParams), time_seconds);
+    } catch (err) {
+        showInvalidInput(err.message);
+        return;
+    }
+    const meanFluxFactor = time_seconds > 0
+        ? schedule.reduce((sum, seg) => sum + seg.duration * seg.fluxFactor, 0) / time_seconds
+        : 1;
     const cooling_seconds = cooling * 3600;
+    const shelf_seconds = shelfLife > 0 ? shelfLife * 24 * 3600 : 0;
 
-    // 1. Physical Constants
-    const lambda = Model.decayConstant(State.route.product.halfLife);
-    const sigma = (State.route.crossSection.thermal || State.route.crossSection.fast_14MeV || 0) * 1e-24; // barns to cm2
+    // 1. Spectrum-Averaged Cross-Section (group flux folded with group σ)
+    const xs = Production.effectiveCrossSection(State.route, spectrum);
 
     // 2. Target Atoms Calculation
-    // Mass (mg) -> Atoms. Assuming approximate atomic mass ~ mass number for planning
-    const massNumber = parseInt(State.route.target.isotope.match(/\d+/)[0]);
+    // Mass (mg of chemical form) -> Atoms, using isotopic masses and the enrichment-aware isotope vector
+    let target;
+    try {
+        target = buildTargetMaterial();
+    } catch (err) {
+        showInvalidInput(err.message);
+        return;
+    }
+    const N_target = TargetMaterials.targetAtoms(target, mass);
+    const warnings = [...target.warnings];
+    if (wallLoading && wallLoading.wallDerate < 1) {
+        warnings.push(`Peak neutron wall loading ${wallLoading.peakWallLoading_MWm2.toFixed(2)} MW/m² exceeds the ` +
+            `${sourceParams.wallLoadingLimit_MWm2} MW/m² limit: source yield derated to ${(wallLoading.wallDerate * 100).toFixed(1)} %.`);
+    }
+    if (schedule.some(seg => seg.averaged)) {
+        warnings.push('Pulse period too short to resolve over this irradiation: the time-averaged flux is used.');
+    }
+    if (threshold.threshold_MeV > 0 && threshold.fractionAbove < 0.01) {
+        warnings.push(`Only ${(threshold.fractionAbove * 100).toPrecision(2)} % of the flux is above the ` +
+            `${threshold.threshold_MeV} MeV threshold of ${State.route.target.reaction}.`);
+    }
+
+    // 2b. Spatial Flux over the Target Volume (source field sampled over the target at its offset).
+    //     The volume-averaged factor scales the on-axis flux; local activity follows the local flux.
+    let spatial;
+    try {
+        spatial = Spatial.integrate(buildTargetGeometry(), Sources.spatialField(sourceType, sourceParams, axial));
+    } catch (err) {
+        showInvalidInput(err.message);
+        return;
+    }
+    const phi = xs.phi * spatial.meanFactor;
+
+    // 3. Self-Shielding (target isotope atom density × mean chord of the target geometry)
+    const shielding = computeSelfShielding(spectrum, target);
+    const f_shield = shielding ? shielding.f_shield : 1.0;
+    const sigma_eff = xs.sigma_cm2 * f_shield;
+
+    // 4. Production + Cooling (Coupled chain: target depletion when the pathway flags it,
+    //    impurity co-production channels decayed on to expiry)
+    const production = Production.run(State.route, {
+        N_target,
+        sigma_cm2: sigma_eff,
+        phi,
+        t_irr: time_seconds,
+        t_cool: cooling_seconds,
+        schedule,
+        spectrum,
+        target,
+        t_shelf: shelf_seconds
+    });
+    const activity_EOB = production.activity_EOB;
+
+    // 5. Delivered Activity (Cooling already applied, chemistry yield)
+    const delivered = Model.deliveredActivityWithChemistryYield(production.activity_cooled, State.route.chemistry.yield);
+
+    // 6. Specific Activity at delivery (product + same-element carrier mass)
+    const specific = Production.specificActivity(State.route, target, {
+        N_target,
+        N_target_remaining: production.atoms.target_EOB,
+        N_product: production.atoms.product_cooled,
+        activity_Bq: production.activity_cooled
+    });
+
+    // 7. Irradiation Campaign (repeated cycles, harvest at each EOB)
+    let campaign = null;
+    if (State.inputs.campaignCycles > 1) {
+        try {
+            campaign = Campaign.run(State.route, {
+                N_target,
+                sigma_cm2: sigma_eff,
+                phi,
+                t_irr: time_seconds,
+                schedule,
+                spectrum,
+                target,
+                cycles: State.inputs.campaignCycles,
+                t_gap: Math.max(0, State.inputs.campaignGap) * 24 * 3600,
+                reloadFraction: State.inputs.campaignReload
+            });
+        } catch (err) {
+            warnings.push(err.message);
+        }
+    }
+
+    // 8. Generator Elution (delivered parent loaded on the column at calibration)
+    let generator = null;
+    if (State.route.generator) {
+        generator = simulateGenerator(delivered, warnings);
+        if (generator && generator.breakthroughExceeded) {
+            warnings.push(`Parent breakthrough ${generator.maxBreakthroughRatio.toExponential(2)} exceeds the ` +
+                `limit of ${State.route.generator.breakthroughLimit} (A_${State.route.product.isotope} / A_${State.route.generator.daughter}).`);
+        }
+    }
+
+    updateUI(activity_EOB, delivered, {
+        warnings,
+        specific,
+        target,
+        N_target,
+        epithermalShare: xs.epithermalShare,
+        meanFluxFactor,
+        spatial,
+        scheduleSegments: schedule.length,
+        f_shield: shielding ? shielding.f_shield : null,
+        targetBurnupFraction: production.targetBurnupFraction,
+        productBurnupLoss_Bq: production.productBurnupLoss_Bq,
+        productBurnupLossFraction: production.productBurnupLossFraction,
+        impurities: production.impurities,
+        purity: production.purity,
+        generator,
+        campaign
+    });
+}
+
+/**
+ * Build the Target Material (element, chemical form, isotope vector) for the Route
+ * Throws on an invalid enrichment entry.
+ */
+function buildTargetMaterial() {
     const element = Model.extractElementSymbol(State.route.target.isotope);
-    const abundance = NuclearData.getIsotopicAbundance(element, massNumber) || 1.0;
+    const form = TargetMaterials.getChemicalForm(element, State.inputs.chemicalForm);
 
-    // N = (Mass_g / AtomicMass) * Avogadro * Abundance
-    // 1 mg = 1e-3 g
-    const N_target = ((mass * 1e-3) / massNumber) * 6.022e23 * abundance;
+    const spec = parseEnrichment(State.inputs.enrichment, element);
+    if (!spec.isotopeVector && spec.enrichment === null && State.route.target.enrichment !== undefined) {
+        spec.enrichment = State.route.target.enrichment; // Pathway default (e.g. enriched Lu-176)
+    }
 
-    // 3. Reaction Rate (Simplified: No self-shielding in basic view yet, or assume f=1)
-    const f_shield = 1.0;
-    const R = Model.reactionRate(N_target, sigma, flux, f_shield);
+    return TargetMaterials.buildTarget({
+        isotope: State.route.target.isotope,
+        formula: form ? form.formula : element,
+        ...spec
+    });
+}
 
-    // 4. Production (Saturation)
-    const f_sat = Model.saturationFactor(lambda, time_seconds);
-    const N_EOB = Model.atomsAtEOB(R, f_sat, lambda);
-    const activity_EOB = Model.activity(lambda, N_EOB);
+/**
+ * Parse the Enrichment Field
+ *   ''                          -> pathway default (natural abundance if none)
+ *   '99.5'                      -> { enrichment: 0.995 } (target isotope)
+ *   'Mo-100: 99.5, Mo-98: 0.4'  -> { isotopeVector: { 100: 0.995, 98: 0.004 } }
+ * Entries are atom percent; bare mass numbers ('100: 99.5') are accepted.
+ */
+function parseEnrichment(text, element) {
+    if (!text) return { enrichment: null };
 
-    // 5. Post-Processing (Cooling + Yield)
-    const decay_cooling = Math.exp(-lambda * cooling_seconds);
-    const activity_pre_yield = activity_EOB * decay_cooling;
+    if (/^[\d.]+$/.test(text)) {
+        return { enrichment: parseFloat(text) / 100 };
+    }
 
-    // Delivered Activity
-    const delivered = Model.deliveredActivityWithChemistryYield(activity_pre_yield, State.route.chemistry.yield);
+    const isotopeVector = {};
+    text.split(/[,;]/).map(t => t.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(/^(?:([A-Z][a-z]?)-?)?(\d+)\s*[:=\s]\s*([\d.]+)\s*%?$/);
+        if (!match) {
+            throw new Error(`Cannot read enrichment entry "${entry}" (expected e.g. "${element}-100: 99.5")`);
+        }
+        if (match[1] && match[1] !== element) {
+            throw new Error(`Enrichment entry "${entry}" is not an isotope of ${element}`);
+        }
+        isotopeVector[parseInt(match[2], 10)] = parseFloat(match[3]) / 100;
+    });
+    return { isotopeVector };
+}
 
-    // Specific Activity (Bq/g of product, simplified assumption: product mass ~ N * massNum)
-    // Note: Accurate specific activity requires carrier mass calc. 
-    // For now, clean display of total activity.
+/**
+ * Target Geometry for Spatial.integrate (shape, dimensions and position relative to the source)
+ */
+function buildTargetGeometry() {
+    const i = State.inputs;
+    return {
+        shape: i.targetShape,
+        radius: i.targetRadius,
+        thickness: i.targetThickness,
+        innerRadius: i.targetInnerRadius,
+        width: i.targetWidth,
+        height: i.targetHeight,
+        distance_cm: i.distance,
+        offsetX_cm: i.targetOffset || 0
+    };
+}
+
+/**
+ * Self-Shielding for the Current Target Geometry and Chemical Form
+ * Returns null when the geometry is incomplete (no shielding applied).
+ */
+function computeSelfShielding(spectrum, target) {
+    const { targetShape, targetRadius, targetThickness, targetDensity } = State.inputs;
+    if (!(targetRadius > 0) || !(targetDensity > 0)) return null;
+    if (targetShape !== 'sphere' && !(targetThickness > 0)) return null;
+
+    const chord_cm = Model.meanChordLength(targetShape, targetRadius, targetThickness, {
+        width: State.inputs.targetWidth,
+        height: State.inputs.targetHeight,
+        innerRadius: State.inputs.targetInnerRadius
+    });
+    const N_density = TargetMaterials.targetAtomDensity(target, targetDensity);
+    return Production.selfShielding(State.route, spectrum, N_density, chord_cm);
+}
+
+/**
+ * Show an Input Error instead of Results
+ * Clears every readout calculate() fills so no numbers of an earlier run remain.
+ */
+function showInvalidInput(message) {
+    [
+        'calculatedFluxDisplay', 'spectrumDisplay', 'resultEOB', 'resultDelivered',
+        'resultSpecificActivity', 'carrierDisplay', 'carrierFreeDisplay', 'targetAtomsDisplay',
+        'epithermalShareDisplay', 'profileDisplay', 'selfShieldingDisplay', 'targetBurnupDisplay',
+        'productBurnupDisplay', 'spatialMeanDisplay', 'spatialRangeDisplay', 'spatialCvDisplay', 'purityDisplay'
+    ].forEach(id => { document.getElementById(id).textContent = '-'; });
+    ['impurityList', 'uniformityMap'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+    document.getElementById('uniformityMapCaption').textContent = '';
+    if (State.route.generator) renderGenerator(null);
+    renderCampaign(null);
+    const bar = document.getElementById('yieldBar');
+    if (bar) bar.style.width = '0%';
+
+    renderWarnings([message], true);
+}
+
+/**
+ * Render Run Warnings (empty list hides the panel)
+ */
+function renderWarnings(messages, isError = false) {
+    const list = document.getElementById('warningsList');
+    if (!list) return;
+    list.innerHTML = '';
+    list.className = isError ? 'warning-list error' : 'warning-list';
+    list.style.display = messages.length > 0 ? 'block' : 'none';
+
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Update Effective Flux Readout
+ */
+function updateFluxDisplay(flux, spectrum) {
+    const el = document.getElementById('calculatedFluxDisplay');
+    if (el) el.textContent = Number.isFinite(flux) ? flux.toExponential(2) : '-';
+
+    const spec = document.getElementById('spectrumDisplay');
+    if (spec) {
+        spec.textContent = NuclearData.energyGroups
+            .filter(g => spectrum[g.id] > 0)
+            .map(g => `${g.label}: ${spectrum[g.id].toExponential(2)}`)
+            .join(' · ') || '-';
+    }
+}
+
+/**
+ * Update Accelerator Converter Yield Readout
+ */
+function updateAcceleratorDisplay(acc) {
+    document.getElementById('acceleratorYieldDisplay').textContent =
+        `${acc.yield_n_s.toExponential(2)} n/s (${acc.neutronsPerParticle.toPrecision(3)} n/particle, ` +
+        `${acc.beamPower_kW.toFixed(1)} kW beam)`;
+}
 
-    updateUI(activity_EOB, delivered);
+/**
+ * Update GDT Neutron Wall Loading Readout (null for other sources)
+ */
+function updateWallLoadingDisplay(wallLoading) {
+    document.getElementById('gdtWallLoadingDisplay').textContent = wallLoading
+        ? `${wallLoading.averageWallLoading_MWm2.toFixed(2)} / ${wallLoading.peakWallLoading_MWm2.toFixed(2)} MW/m²` +
+          (wallLoading.wallDerate < 1 ? ` (derated ×${wallLoading.wallDerate.toFixed(3)})` : '')
+        : '-';
 }
 
 /**
  * Update UI Results
  */
-function updateUI(eob, delivered) {
+function updateUI(eob, delivered, details) {
     // Format helpers
     const fmt = (num) => num === 0 ? "0" : num.toExponential(2);
+    const pct = (frac) => `${(frac * 100).toPrecision(3)} %`;
 
     document.getElementById('resultEOB').textContent = `${fmt(eob)} Bq`;
     document.getElementById('resultDelivered').textContent = `${fmt(delivered)} Bq`;
 
+    renderWarnings(details.warnings);
+
+    // Specific activity
+    const { specific } = details;
+    document.getElementById('resultSpecificActivity').textContent = `${fmt(specific.specificActivity_GBq_mg)} GBq/mg`;
+    document.getElementById('carrierDisplay').textContent = specific.carrierAdded
+        ? `${fmt(specific.carrier_mg)} mg ${details.target.element} (c.a.)`
+        : 'none (n.c.a.)';
+    document.getElementById('carrierFreeDisplay').textContent = `${fmt(specific.carrierFree_GBq_mg)} GBq/mg`;
+
+    // Production physics breakdown
+    const { target } = details;
+    document.getElementById('targetAtomsDisplay').textContent =
+        `${fmt(details.N_target)} (${pct(target.targetFraction)} ${State.route.target.isotope} in ${target.formula}, ` +
+        `${target.molarMass_g_mol.toFixed(2)} g/mol)`;
+    document.getElementById('epithermalShareDisplay').textContent = pct(details.epithermalShare);
+    document.getElementById('profileDisplay').textContent =
+        `${pct(details.meanFluxFactor)} of peak (${details.scheduleSegments} segments)`;
+    document.getElementById('selfShieldingDisplay').textContent =
+        details.f_shield === null ? 'not applied (incomplete geometry)' : details.f_shield.toFixed(3);
+    document.getElementById('targetBurnupDisplay').textContent =
+        State.route.target.burnup_parent ? pct(details.targetBurnupFraction) : 'not modeled';
+    document.getElementById('productBurnupDisplay').textContent = State.route.crossSection.burnup
+        ? `-${fmt(details.productBurnupLoss_Bq)} Bq (${pct(details.productBurnupLossFraction)})`
+        : 'not modeled';
+
+    renderSpatial(details.spatial);
+    renderPurity(details.purity, details.impurities);
+    if (State.route.generator) renderGenerator(details.generator);
+    renderCampaign(details.campaign);
+
     // Update simple gauge/bar (visual feedback)
     const bar = document.getElementById('yieldBar');
     if (bar) {
@@ -201,5 +844,343 @@ function updateUI(eob, delivered) {
     }
 }
 
+/**
+ * Render Flux-over-Volume Statistics and the Face-On Activity Uniformity Map
+ * Cell shading is the depth-averaged local activity relative to the hottest cell.
+ */
+function renderSpatial(spatial) {
+    const { map } = spatial;
+    document.getElementById('spatialMeanDisplay').textContent =
+        `${spatial.meanFactor.toFixed(3)} of on-axis flux (${spatial.volume_cm3.toExponential(2)} cm³)`;
+    document.getElementById('spatialRangeDisplay').textContent = spatial.meanFactor > 0
+        ? `${(spatial.minFactor / spatial.meanFactor).toFixed(3)} / ${(spatial.maxFactor / spatial.meanFactor).toFixed(3)}`
+        : '-';
+    document.getElementById('spatialCvDisplay').textContent = `${(spatial.cv * 100).toPrecision(3)} %`;
+
+    const container = document.getElementById('uniformityMap');
+    container.innerHTML = '';
+    container.style.gridTemplateColumns = `repeat(${map.nx}, 1fr)`;
+    container.style.aspectRatio = `${map.nx * map.dx} / ${map.ny * map.dy}`;
+    const peak = Math.max(...map.values.flat().filter(v => v !== null));
+
+    // Rows top-down (+y first)
+    [...map.values].reverse().forEach(row => row.forEach(v => {
+        const cell = document.createElement('div');
+        if (v === null) {
+            cell.className = 'outside';
+        } else {
+            cell.style.opacity = (peak > 0 ? v / peak : 0).toFixed(3);
+            cell.title = `${v.toFixed(3)} × mean`;
+        }
+        container.appendChild(cell);
+    }));
+    document.getElementById('uniformityMapCaption').textContent =
+        `Face-on view, x ${map.x0.toFixed(2)} to ${(map.x0 + map.nx * map.dx).toFixed(2)} cm, ` +
+        `y ${map.y0.toFixed(2)} to ${(map.y0 + map.ny * map.dy).toFixed(2)} cm`;
+}
+
+/**
+ * Run the Monte Carlo Verification of the Current Scenario in a Web Worker
+ * Restarts any run in progress; results are compared with the spatial flux model and
+ * the solid-angle approximation (Model.fluxFromSolidAngle).
+ */
+function runMonteCarlo() {
+    const { sourceType, distance, mcHistories, mcSeed } = State.inputs;
+    const status = document.getElementById('monteCarloStatusDisplay');
+    const button = document.getElementById('monteCarloRunButton');
+    if (State.monteCarloWorker) State.monteCarloWorker.terminate();
+    State.monteCarloWorker = null;
+
+    const sourceParams = buildSourceParams();
+    const axial = sourceType === Sources.TYPES.GDT_TRAP ? (State.inputs.axialPosition || 0) : 0;
+    const geometry = buildTargetGeometry();
+    let scenario;
+    let reference;
+    try {
+        if (!(mcHistories >= 1)) throw new Error('Histories must be at least 1');
+        scenario = MonteCarlo.scenarioProblem({ sourceType, sourceParams, distance_cm: distance, axial_cm: axial, geometry });
+        reference = monteCarloReference(sourceType, sourceParams, geometry, axial, scenario.strength_n_s);
+    } catch (err) {
+        status.textContent = err.message;
+        return;
+    }
+
+    const worker = new Worker(new URL('./workers/montecarloWorker.js', import.meta.url), { type: 'module' });
+    State.monteCarloWorker = worker;
+    button.disabled = true;
+    status.textContent = 'Running...';
+
+    worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            status.textContent = `Running... ${msg.histories.toLocaleString()} / ${msg.total.toLocaleString()} histories`;
+            return;
+        }
+        worker.terminate();
+        State.monteCarloWorker = null;
+        button.disabled = false;
+        if (msg.type === 'error') {
+            status.textContent = msg.message;
+            return;
+        }
+        renderMonteCarlo(msg.results.tallies[0], msg.results.histories, scenario.strength_n_s, reference);
+    };
+    worker.onerror = (err) => {
+        worker.terminate();
+        State.monteCarloWorker = null;
+        button.disabled = false;
+        status.textContent = `Worker error: ${err.message}`;
+    };
+    worker.postMessage({ type: 'run', problem: scenario.problem, histories: mcHistories, seed: mcSeed });
+}
+
+/**
+ * Model Fluxes over the Target for Comparison with the Transport Tally (cm^-2 s^-1)
+ * Bare D-T / GDT spectra carry a room-return tail that the transport does not model, so
+ * only their uncollided 14 MeV group is compared. The approximation is the solid-angle
+ * flux of Model for centred disk targets and point sources; the GDT column has none (its
+ * flux model is the column kernel behind `model`).
+ */
+function monteCarloReference(sourceType, sourceParams, geometry, axial, strength) {
+    const spectrum = Sources.calculateSpectrum(sourceType, sourceParams, geometry.distance_cm, axial);
+    const spatial = Spatial.integrate(geometry, Sources.spatialField(sourceType, sourceParams, axial));
+    const transported = sourceParams.moderator || sourceType === Sources.TYPES.ACCELERATOR
+        ? MonteCarlo.SCENARIO_GROUPS
+        : ['dt14'];
+    const groups = {};
+    MonteCarlo.SCENARIO_GROUPS.forEach(g => {
+        groups[g] = transported.includes(g) ? (spectrum[g] || 0) * spatial.meanFactor : 0;
+    });
+    const model = Object.values(groups).reduce((sum, v) => sum + v, 0);
+
+    let approx = null;
+    const { shape, radius, distance_cm, offsetX_cm } = geometry;
+    if (sourceType !== Sources.TYPES.GDT_TRAP && !sourceParams.moderator && shape === 'disk' && !offsetX_cm) {
+        approx = Model.fluxFromSolidAngle(strength, Model.solidAngle(distance_cm, radius), Math.PI * radius * radius,
+            distance_cm, radius);
+    }
+    return { groups, model, approx };
+}
+
+/**
+ * Render the Transport Tally (per source neutron × source strength) against the Models
+ */
+function renderMonteCarlo(tally, histories, strength, reference) {
+    const fmt = (num) => num === 0 ? "0" : num.toExponential(3);
+    const err = (rel) => Number.isFinite(rel) ? `${(rel * 100).toPrecision(2)} %` : '-';
+    const total = tally.total * strength;
+    const ratio = (value) => (value !== null && total > 0) ? `${(value / total).toFixed(3)} (±${err(tally.totalRelError)})` : '-';
+
+    document.getElementById('monteCarloStatusDisplay').textContent = `${histories.toLocaleString()} histories`;
+    document.getElementById('monteCarloFluxDisplay').textContent = `${fmt(total)} n/cm²/s ± ${err(tally.totalRelError)}`;
+    document.getElementById('monteCarloModelDisplay').textContent = ratio(reference.model);
+    document.getElementById('monteCarloApproxDisplay').textContent = ratio(reference.approx);
+
+    const list = document.getElementById('monteCarloGroupList');
+    list.innerHTML = '';
+    MonteCarlo.SCENARIO_GROUPS.forEach((g, k) => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `${g}:`;
+        const value = document.createElement('span');
+        value.textContent = `MC ${fmt(tally.flux[k] * strength)} ± ${err(tally.relError[k])}, model ${fmt(reference.groups[g])}`;
+        item.appendChild(label);
+        item.appendChild(value);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Scenario for the Transport Code Exports (SolverInterfaces)
+ * Throws on an invalid enrichment entry.
+ */
+function buildExportScenario() {
+    const { sourceType, targetDensity } = State.inputs;
+    return {
+        route: State.route,
+        target: buildTargetMaterial(),
+        density_g_cm3: targetDensity,
+        geometry: buildTargetGeometry(),
+        sourceType,
+        sourceParams: buildSourceParams(),
+        axial_cm: sourceType === Sources.TYPES.GDT_TRAP ? (State.inputs.axialPosition || 0) : 0
+    };
+}
+
+/**
+ * Export the Current Scenario as an MCNP Input Deck (file download)
+ */
+function exportMCNP() {
+    const status = document.getElementById('exportStatusDisplay');
+    let deck;
+    try {
+        deck = SolverInterfaces.exportMCNPInput(buildExportScenario());
+    } catch (err) {
+        status.textContent = err.message;
+        return;
+    }
+    downloadText(`${State.route.id.toLowerCase()}_${State.inputs.sourceType}.mcnp`, deck);
+    status.textContent = `MCNP deck exported (${deck.split('\n').length} lines).`;
+}
+
+/**
+ * Export the Current Scenario as an OpenMC Python Script (file download; --xml writes the XML inputs)
+ */
+function exportOpenMC() {
+    const status = document.getElementById('exportStatusDisplay');
+    let script;
+    try {
+        script = OpenMCInterface.exportPython(buildExportScenario());
+    } catch (err) {
+        status.textContent = err.message;
+        return;
+    }
+    downloadText(`${State.route.id.toLowerCase()}_${State.inputs.sourceType}_openmc.py`, script);
+    status.textContent = 'OpenMC script exported (python <file> runs it, --xml writes the XML inputs).';
+}
+
+/**
+ * Offer a Text File for Download
+ */
+function downloadText(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Render radionuclidic purity and per-impurity activity ratios (A_imp / A_product)
+ */
+function renderPurity(purity, impurities) {
+    const pct = (frac) => `${(frac * 100).toFixed(4)} %`;
+    const ratio = (r) => r === 0 ? "0" : r.toExponential(2);
+    const product = State.route.product.isotope;
+
+    document.getElementById('purityDisplay').textContent =
+        `${pct(purity.EOB)} / ${pct(purity.delivery)} / ${pct(purity.expiry)}`;
+
+    const list = document.getElementById('impurityList');
+    list.innerHTML = '';
+    if (impurities.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No impurity channels listed for this pathway';
+        list.appendChild(item);
+        return;
+    }
+    impurities.forEach(imp => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `${imp.isotope}/${product}:`;
+        const value = document.createElement('span');
+        value.textContent = imp.note
+            ? `not quantified (${imp.note})`
+            : `${ratio(imp.ratio.EOB)} / ${ratio(imp.ratio.delivery)} / ${ratio(imp.ratio.expiry)}`;
+        item.appendChild(label);
+        item.appendChild(value);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Run the Elution Schedule for the current Generator Route
+ * Returns null (and reports why in warnings) when the schedule inputs are invalid.
+ */
+function simulateGenerator(A_parent, warnings) {
+    const gen = State.route.generator;
+    try {
+        return Generator.simulate({
+            A_parent,
+            parentHalfLife: State.route.product.halfLife,
+            halfLife: gen.halfLife,
+            branching: gen.branching,
+            elutionInterval: State.inputs.elutionInterval,
+            efficiency: State.inputs.elutionEfficiency,
+            breakthrough: State.inputs.breakthrough,
+            breakthroughLimit: gen.breakthroughLimit,
+            shelfLife: State.inputs.generatorShelfLife
+        });
+    } catch (err) {
+        warnings.push(err.message);
+        return null;
+    }
+}
+
+/**
+ * Render Generator Output and the Elution Yield Curve (at most ~10 sampled elutions)
+ * A null result (invalid schedule) clears the panel.
+ */
+function renderGenerator(result) {
+    const fmt = (num) => num === 0 ? "0" : num.toExponential(2);
+    const gen = State.route.generator;
+    const list = document.getElementById('elutionCurveList');
+    list.innerHTML = '';
+    if (!result) {
+        ['generatorTotalDisplay', 'generatorElutionsDisplay', 'generatorTmaxDisplay', 'generatorBreakthroughDisplay']
+            .forEach(id => { document.getElementById(id).textContent = '-'; });
+        return;
+    }
+    const { elutions } = result;
+
+    document.getElementById('generatorTotalDisplay').textContent =
+        `${fmt(result.totalDaughter_Bq)} Bq ${gen.daughter}`;
+    document.getElementById('generatorElutionsDisplay').textContent = elutions.length > 0
+        ? `${elutions.length} / ${fmt(elutions[0].daughter_Bq)} Bq`
+        : 'none within shelf life';
+    document.getElementById('generatorTmaxDisplay').textContent =
+        `${(Generator.timeOfMaxDaughter({ ...gen, parentHalfLife: State.route.product.halfLife }) / 3600).toFixed(1)} h`;
+    document.getElementById('generatorBreakthroughDisplay').textContent =
+        `${fmt(result.maxBreakthroughRatio)} (limit ${gen.breakthroughLimit})`;
+
+    const step = Math.max(1, Math.ceil(elutions.length / 10));
+    elutions.filter((e, i) => i % step === 0 || i === elutions.length - 1).forEach(e => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `Day ${(e.t_s / 86400).toFixed(1)}:`;
+        const value = document.createElement('span');
+        value.textContent = `${fmt(e.daughter_Bq)} Bq`;
+        item.appendChild(label);
+        item.appendChild(value);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Render Campaign Harvests (at most ~10 sampled cycles)
+ * Long-lived impurities are those outliving the product; their activity is the
+ * inventory left in the (carried) target at each harvest.
+ */
+function renderCampaign(campaign) {
+    document.getElementById('campaignResults').style.display = campaign ? 'block' : 'none';
+    if (!campaign) return;
+
+    const fmt = (num) => num === 0 ? "0" : num.toExponential(2);
+    const { harvests } = campaign;
+    document.getElementById('campaignTotalDisplay').textContent =
+        `${fmt(campaign.totalHarvested_Bq)} Bq in ${harvests.length} harvests`;
+    document.getElementById('campaignLengthDisplay').textContent =
+        `${campaign.calendar.campaignLength_days.toFixed(1)} days (${campaign.calendar.campaignsPerYear.toFixed(1)} campaigns / year)`;
+
+    const list = document.getElementById('campaignHarvestList');
+    list.innerHTML = '';
+    const step = Math.max(1, Math.ceil(harvests.length / 10));
+    harvests.filter((h, i) => i % step === 0 || i === harvests.length - 1).forEach(h => {
+        const longLived_Bq = h.impurities.filter(imp => imp.longLived).reduce((sum, imp) => sum + imp.activity_Bq, 0);
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `Cycle ${h.cycle} (day ${(h.t_s / 86400).toFixed(1)}):`;
+        const value = document.createElement('span');
+        value.textContent = `${fmt(h.product_Bq)} Bq, target ${(h.targetRemainingFraction * 100).toPrecision(4)} %, ` +
+            `long-lived impurities ${fmt(longLived_Bq)} Bq`;
+        item.appendChild(label);
+        item.appendChild(value);
+        list.appendChild(item);
+    });
+}
+
 // Start
 init();
@@ -0,0 +1,107 @@
+/**
+ * campaign.js
+ *
+ * Irradiation Campaign Model.
+ * Runs N irradiation cycles of one pathway with shutdown gaps, harvesting the
+ * product at each end of bombardment and optionally carrying the depleted target
+ * (with a partial fresh reload) into the next cycle.
+ *
+ * STRICT SEPARATION: No DOM access. Times in s, activities in Bq.
+ */
+
+import { Model } from './model.js';
+import { Production } from './production.js';
+import { Manufacturing } from './manufacturing.js';
+
+export const Campaign = {
+
+    // Longest campaign simulated (each cycle integrates the full irradiation schedule)
+    MAX_CYCLES: 200,
+
+    /**
+     * Run an irradiation campaign
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} params
+     *   {
+     *     N_target, sigma_cm2, phi,  // Fresh-load target atoms, effective σ (cm^2), flux (cm^-2 s^-1)
+     *     t_irr: number,             // Irradiation window per cycle (s)
+     *     schedule: Array,           // Per-cycle Sources.irradiationSchedule segments (optional)
+     *     spectrum, target,          // Enable impurity channels / parent isotopes (see Production.run)
+     *     cycles: number,            // Number of irradiation cycles
+     *     t_gap: number,             // Shutdown gap between cycles (s)
+     *     reloadFraction: number     // Fraction of the target replaced by fresh material at each
+     *                                // harvest (1 = fresh target every cycle, 0 = carry it all)
+     *   }
+     * @returns {Object} { harvests, totalHarvested_Bq, calendar }
+     *   harvests: [{ cycle, t_s, product_Bq, targetAtoms, targetRemainingFraction,
+     *     impurities: [{ isotope, activity_Bq, longLived }] }]
+     *   calendar: Manufacturing.campaignCalendar result
+     * @throws {Error} If the cycle count is not an integer in 1-MAX_CYCLES or the reload
+     *   fraction is outside 0-1
+     *
+     * At each EOB the product is harvested (removed from the target inventory);
+     * impurities stay with the target and build up over cycles when it is carried.
+     * The retained inventory then decays through the gap.
+     */
+    run: function (route, params) {
+        const {
+            N_target, sigma_cm2, phi, t_irr, schedule, spectrum, target,
+            cycles = 1, t_gap = 0, reloadFraction = 1
+        } = params;
+        if (!Number.isInteger(cycles) || cycles < 1 || cycles > this.MAX_CYCLES) {
+            throw new Error(`Campaign cycles must be a whole number between 1 and ${this.MAX_CYCLES}`);
+        }
+        if (!(reloadFraction >= 0 && reloadFraction <= 1)) {
+            throw new Error('Reload fraction must be between 0 and 1');
+        }
+
+        const channels = spectrum ? Production.impurityChannels(route, spectrum) : [];
+        const parentAtoms = Production.parentAtoms(channels, target, N_target);
+        const { nuclides, index } = Production.buildChain(route, sigma_cm2, { channels });
+
+        const fresh = new Array(nuclides.length).fill(0);
+        fresh[index.target] = N_target;
+        Object.keys(parentAtoms).forEach(name => { fresh[index.nuclides[name]] = parentAtoms[name]; });
+
+        const calendar = Manufacturing.campaignCalendar({
+            irradiationTime_days: t_irr / 86400,
+            shutdownGap_days: t_gap / 86400,
+            cycles
+        });
+        const A_cool = Model.transmutationMatrix(nuclides, 0);
+        const impurityChannels = channels.filter(ch => ch.halfLife);
+
+        let N = [...fresh];
+        const harvests = calendar.cycles.map(({ cycle, eob_days }) => {
+            const result = Model.activationDecayChain({ nuclides, N0: N, phi, t_irr, schedule });
+            const N_EOB = [...result.N_EOB];
+
+            const harvest = {
+                cycle,
+                t_s: eob_days * 86400,
+                product_Bq: result.activity_EOB[index.product],
+                targetAtoms: N_EOB[index.target],
+                targetRemainingFraction: N_target > 0 ? N_EOB[index.target] / N_target : 0,
+                impurities: impurityChannels.map(ch => ({
+                    isotope: ch.isotope,
+                    activity_Bq: result.activity_EOB[index.nuclides[ch.isotope]],
+                    longLived: ch.halfLife > route.product.halfLife
+                }))
+            };
+
+            // Harvest, partial reload, then decay of the retained inventory through the gap
+            N_EOB[index.product] = 0;
+            N = N_EOB.map((n, i) => n * (1 - reloadFraction) + fresh[i] * reloadFraction);
+            if (t_gap > 0) N = Model.batemanMatrixExponential(N, A_cool, t_gap);
+
+            return harvest;
+        });
+
+        return {
+            harvests,
+            totalHarvested_Bq: harvests.reduce((sum, h) => sum + h.product_Bq, 0),
+            calendar
+        };
+    }
+};
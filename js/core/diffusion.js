@@ -0,0 +1,428 @@
+/**
+ * diffusion.js
+ *
+ * Multigroup Neutron Diffusion Solver (fixed source).
+ * 1D slab / cylinder / sphere and 2D r-z, finite-volume on a cell-centred mesh,
+ * with material regions, vacuum (Marshak) or reflective boundaries and an external
+ * source. Groups are ordered from fast to thermal; downscatter is solved in one
+ * sweep, upscatter by outer (Gauss-Seidel) iterations over the groups.
+ *
+ * Material format (per region):
+ *   { D: [G] (cm), sigmaA: [G] (cm^-1), scatter: [G][G] (cm^-1, g -> g', out-of-group only) }
+ *   Removal from group g: Σ_r,g = Σ_a,g + Σ_g'≠g Σ_s,g->g'
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm, sources in n/s (n/cm3/s for densities).
+ */
+
+export const Diffusion = {
+
+    GEOMETRIES: {
+        SLAB: 'slab',         // x, per cm^2 of face
+        CYLINDER: 'cylinder', // r, per cm of length
+        SPHERE: 'sphere',     // r
+        RZ: 'rz'              // 2D cylinder (r, z)
+    },
+
+    BOUNDARIES: {
+        VACUUM: 'vacuum',         // Marshak: J = φ_b / 2
+        REFLECTIVE: 'reflective'  // J = 0
+    },
+
+    DEFAULT_MESH_CM: 0.25,
+    MAX_CELLS_1D: 2000,
+    MAX_CELLS_2D: 20000,
+
+    // Iterations (2D line relaxation, upscatter outer iterations)
+    TOLERANCE: 1e-7,
+    MAX_INNER: 5000,
+    MAX_OUTER: 200,
+    SOR_OMEGA: 1.85, // line over-relaxation factor (r-z)
+
+    /**
+     * Check a material against the group count
+     * @throws {Error} On missing or mismatched group constants
+     */
+    validateMaterial: function (material, groups) {
+        const ok = material && ['D', 'sigmaA'].every(k => Array.isArray(material[k]) && material[k].length === groups);
+        if (!ok) throw new Error(`Diffusion material needs D and sigmaA for ${groups} groups`);
+        if (material.D.some(d => !(d > 0))) throw new Error('Diffusion coefficients must be positive');
+    },
+
+    /**
+     * Removal cross section of a material in group g
+     * Formula: Σ_r,g = Σ_a,g + Σ_g'≠g Σ_s,g->g'
+     */
+    removal: function (material, g) {
+        const row = (material.scatter && material.scatter[g]) || [];
+        return material.sigmaA[g] + row.reduce((sum, s, gp) => sum + (gp === g ? 0 : (s || 0)), 0);
+    },
+
+    /**
+     * Does any material scatter neutrons to a faster group?
+     */
+    hasUpscatter: function (materials) {
+        return materials.some(m => (m.scatter || []).some((row, g) => (row || []).some((s, gp) => gp < g && s > 0)));
+    },
+
+    /**
+     * Geometry factors of a 1D cell face / volume
+     * Formula: slab A = 1, V = Δx;  cylinder A = 2πr, V = π(r+^2 - r-^2);
+     *          sphere A = 4πr^2, V = 4/3 π(r+^3 - r-^3)
+     */
+    faceArea: function (geometry, r) {
+        if (geometry === this.GEOMETRIES.SLAB) return 1;
+        if (geometry === this.GEOMETRIES.CYLINDER) return 2 * Math.PI * r;
+        if (geometry === this.GEOMETRIES.SPHERE) return 4 * Math.PI * r * r;
+        throw new Error(`Unknown 1D geometry: ${geometry}`);
+    },
+
+    cellVolume: function (geometry, lo, hi) {
+        if (geometry === this.GEOMETRIES.SLAB) return hi - lo;
+        if (geometry === this.GEOMETRIES.CYLINDER) return Math.PI * (hi * hi - lo * lo);
+        return 4 / 3 * Math.PI * (Math.pow(hi, 3) - Math.pow(lo, 3));
+    },
+
+    /**
+     * Coupling of a boundary cell to its boundary face (per unit area)
+     * Formula: vacuum J = φ_i / (Δ / (2D) + 2), reflective 0
+     */
+    boundaryCoupling: function (type, D, width) {
+        if (type === this.BOUNDARIES.REFLECTIVE) return 0;
+        if (type === this.BOUNDARIES.VACUUM) return 1 / (width / (2 * D) + 2);
+        throw new Error(`Unknown boundary condition: ${type}`);
+    },
+
+    /**
+     * Tridiagonal solve (Thomas algorithm)
+     * a: sub-diagonal, b: diagonal, c: super-diagonal, d: right-hand side
+     */
+    thomas: function (a, b, c, d) {
+        const n = b.length;
+        const cp = new Array(n);
+        const dp = new Array(n);
+        cp[0] = c[0] / b[0];
+        dp[0] = d[0] / b[0];
+        for (let i = 1; i < n; i++) {
+            const m = b[i] - a[i] * cp[i - 1];
+            cp[i] = c[i] / m;
+            dp[i] = (d[i] - a[i] * dp[i - 1]) / m;
+        }
+        const x = new Array(n);
+        x[n - 1] = dp[n - 1];
+        for (let i = n - 2; i >= 0; i--) x[i] = dp[i] - cp[i] * x[i + 1];
+        return x;
+    },
+
+    /**
+     * Scattering source into group g from the other groups
+     */
+    scatterSource: function (materials, volumes, phi, g) {
+        return materials.map((m, i) => {
+            let q = 0;
+            (m.scatter || []).forEach((row, gp) => {
+                if (gp !== g && row && row[g] > 0 && phi[gp]) q += row[g] * phi[gp][i] * volumes[i];
+            });
+            return q;
+        });
+    },
+
+    /**
+     * Solve a 1D fixed-source multigroup problem
+     *
+     * @param {Object} problem
+     *   {
+     *     geometry: 'slab'|'cylinder'|'sphere',
+     *     groups: number,
+     *     regions: [{ outer_cm, material, source }],  // from x = 0 outwards; source: [G] n/cm3/s
+     *     mesh_cm: number,                            // target cell width (default DEFAULT_MESH_CM)
+     *     boundary: { inner, outer },                 // BOUNDARIES ids; inner is reflective (symmetry)
+     *                                                 // for cylinders/spheres, default outer vacuum
+     *     cellSource: function (g, lo, hi),           // optional extra source in a cell (n/s, per
+     *                                                 // cm^2 for slabs, per cm for cylinders)
+     *     targets: [x_cm]                             // optional flux read-out positions
+     *   }
+     * @returns {Object} { edges, centres, phi, surfaceFlux, outerIterations, targets }
+     *   phi[g][i]: cell flux (cm^-2 s^-1); surfaceFlux[g]: flux at the outer surface
+     *   targets: [{ x_cm, phi: [G] }]
+     * @throws {Error} On invalid geometry, regions, materials or boundaries
+     *
+     * Formula (cell i, group g):
+     *   Σ_faces A D̃ (φ_i - φ_j) + Σ_r,g V φ_i = Q_ext + Σ_g' Σ_s,g'->g V φ_g'
+     *   D̃ = 1 / (Δ_i / (2 D_i) + Δ_j / (2 D_j))  (harmonic interface coupling)
+     */
+    solve1D: function (problem) {
+        const {
+            geometry, groups, regions, mesh_cm = this.DEFAULT_MESH_CM,
+            boundary = {}, cellSource = null, targets = []
+        } = problem;
+        if (!(groups >= 1) || !Array.isArray(regions) || regions.length === 0) {
+            throw new Error('Diffusion problem needs at least one group and one region');
+        }
+        this.faceArea(geometry, 0); // validates the geometry
+        const inner = geometry === this.GEOMETRIES.SLAB ? (boundary.inner || this.BOUNDARIES.REFLECTIVE) : this.BOUNDARIES.REFLECTIVE;
+        const outer = boundary.outer || this.BOUNDARIES.VACUUM;
+
+        // Mesh: each region split into near-uniform cells
+        const total = regions[regions.length - 1].outer_cm;
+        const h = Math.max(mesh_cm, total / this.MAX_CELLS_1D);
+        const edges = [0];
+        const cellRegion = [];
+        regions.forEach((reg, k) => {
+            const lo = k === 0 ? 0 : regions[k - 1].outer_cm;
+            if (!(reg.outer_cm > lo)) throw new Error('Region outer boundaries must increase');
+            this.validateMaterial(reg.material, groups);
+            const n = Math.max(1, Math.ceil((reg.outer_cm - lo) / h));
+            for (let i = 1; i <= n; i++) {
+                edges.push(lo + (reg.outer_cm - lo) * i / n);
+                cellRegion.push(reg);
+            }
+        });
+        const n = cellRegion.length;
+        const centres = cellRegion.map((_, i) => (edges[i] + edges[i + 1]) / 2);
+        const widths = cellRegion.map((_, i) => edges[i + 1] - edges[i]);
+        const volumes = cellRegion.map((_, i) => this.cellVolume(geometry, edges[i], edges[i + 1]));
+        const materials = cellRegion.map(reg => reg.material);
+
+        const external = Array.from({ length: groups }, (_, g) => cellRegion.map((reg, i) =>
+            ((reg.source && reg.source[g]) || 0) * volumes[i] + (cellSource ? cellSource(g, edges[i], edges[i + 1]) : 0)));
+
+        // Group matrices (fixed per group)
+        const matrices = Array.from({ length: groups }, (_, g) => {
+            const a = new Array(n).fill(0);
+            const b = materials.map((m, i) => this.removal(m, g) * volumes[i]);
+            const c = new Array(n).fill(0);
+            for (let i = 0; i < n - 1; i++) {
+                const k = this.faceArea(geometry, edges[i + 1]) /
+                    (widths[i] / (2 * materials[i].D[g]) + widths[i + 1] / (2 * materials[i + 1].D[g]));
+                b[i] += k;
+                c[i] = -k;
+                b[i + 1] += k;
+                a[i + 1] = -k;
+            }
+            const leakOut = this.boundaryCoupling(outer, materials[n - 1].D[g], widths[n - 1]);
+            b[n - 1] += this.faceArea(geometry, edges[n]) * leakOut;
+            if (geometry === this.GEOMETRIES.SLAB) {
+                b[0] += this.boundaryCoupling(inner, materials[0].D[g], widths[0]);
+            }
+            return { a, b, c, leakOut };
+        });
+
+        const upscatter = this.hasUpscatter(materials);
+        const phi = Array.from({ length: groups }, () => null);
+        let outerIterations = 0;
+        for (; outerIterations < (upscatter ? this.MAX_OUTER : 1); outerIterations++) {
+            let change = 0;
+            for (let g = 0; g < groups; g++) {
+                const scat = this.scatterSource(materials, volumes, phi, g);
+                const rhs = external[g].map((q, i) => q + scat[i]);
+                const { a, b, c } = matrices[g];
+                const next = this.thomas(a, b, c, rhs);
+                if (phi[g]) {
+                    next.forEach((v, i) => { change = Math.max(change, Math.abs(v - phi[g][i]) / Math.max(Math.abs(v), 1e-300)); });
+                } else {
+                    change = Infinity;
+                }
+                phi[g] = next;
+            }
+            if (change < this.TOLERANCE) break;
+        }
+
+        // Marshak surface flux φ_b = 2 J (vacuum); reflective: cell flux
+        const surfaceFlux = phi.map((p, g) => outer === this.BOUNDARIES.VACUUM ? 2 * matrices[g].leakOut * p[n - 1] : p[n - 1]);
+        const solution = { geometry, edges, centres, phi, surfaceFlux, outerIterations: outerIterations + 1 };
+        solution.targets = targets.map(x_cm => ({ x_cm, phi: this.fluxAt1D(solution, x_cm) }));
+        return solution;
+    },
+
+    /**
+     * Group fluxes of a 1D solution at position x
+     *
+     * @param {Object} solution - solve1D result
+     * @param {number} x_cm
+     * @returns {Array<number>} φ_g(x), linear between cell centres (surface flux at the
+     *   outer edge); beyond the outer surface R the surface flux falls off as (R / x)^2
+     *   (sphere) or R / x (cylinder) and stays constant for a slab
+     */
+    fluxAt1D: function (solution, x_cm) {
+        const { geometry, edges, centres, phi, surfaceFlux } = solution;
+        const n = centres.length;
+        const R = edges[n];
+        const x = Math.max(0, x_cm);
+
+        if (x >= R) {
+            const falloff = geometry === this.GEOMETRIES.SPHERE ? (R * R) / (x * x)
+                : geometry === this.GEOMETRIES.CYLINDER ? R / x : 1;
+            return surfaceFlux.map(f => f * falloff);
+        }
+        if (x >= centres[n - 1]) {
+            const f = (x - centres[n - 1]) / (R - centres[n - 1]);
+            return phi.map((p, g) => p[n - 1] + (surfaceFlux[g] - p[n - 1]) * f);
+        }
+        if (x <= centres[0]) return phi.map(p => p[0]);
+
+        let i = 0;
+        while (centres[i + 1] < x) i++;
+        const f = (x - centres[i]) / (centres[i + 1] - centres[i]);
+        return phi.map(p => p[i] + (p[i + 1] - p[i]) * f);
+    },
+
+    /**
+     * Solve a 2D r-z fixed-source multigroup problem
+     *
+     * @param {Object} problem
+     *   {
+     *     groups: number,
+     *     radius_cm, zMin_cm, zMax_cm: number,      // domain [0, R] × [zMin, zMax]
+     *     regions: [{ rMin, rMax, zMin, zMax, material, source }], // first match wins; must cover
+     *                                               // the domain; source: [G] n/cm3/s
+     *     mesh_cm: number,                          // cell size (default DEFAULT_MESH_CM, coarsened
+     *                                               // to MAX_CELLS_2D)
+     *     boundary: { outer, bottom, top },         // r = R, z = zMin, z = zMax (default vacuum);
+     *                                               // r = 0 is a symmetry axis
+     *     pointSources: [{ z_cm, strength: [G] }],  // on-axis point sources (n/s)
+     *     targets: [{ r_cm, z_cm }]                 // optional flux read-out positions
+     *   }
+     * @returns {Object} { rEdges, zEdges, phi, converged, iterations, outerIterations, targets }
+     *   phi[g][iz][ir]: cell flux (cm^-2 s^-1); targets: [{ r_cm, z_cm, phi: [G] }] (cell values)
+     * @throws {Error} On invalid domains, uncovered cells, materials or boundaries
+     *
+     * Method: five-point finite-volume stencil, relaxed by radial line solves (Thomas per
+     * z-row, successive over-relaxation between rows) until the relative change is below TOLERANCE.
+     */
+    solveRZ: function (problem) {
+        const {
+            groups, radius_cm, zMin_cm, zMax_cm, regions, mesh_cm = this.DEFAULT_MESH_CM,
+            boundary = {}, pointSources = [], targets = []
+        } = problem;
+        if (!(groups >= 1) || !(radius_cm > 0) || !(zMax_cm > zMin_cm)) {
+            throw new Error('r-z problem needs at least one group, a positive radius and zMax > zMin');
+        }
+        const outer = boundary.outer || this.BOUNDARIES.VACUUM;
+        const bottom = boundary.bottom || this.BOUNDARIES.VACUUM;
+        const top = boundary.top || this.BOUNDARIES.VACUUM;
+
+        const height = zMax_cm - zMin_cm;
+        const h = Math.max(mesh_cm, Math.sqrt(radius_cm * height / this.MAX_CELLS_2D));
+        const nr = Math.max(1, Math.ceil(radius_cm / h));
+        const nz = Math.max(1, Math.ceil(height / h));
+        const dr = radius_cm / nr;
+        const dz = height / nz;
+        const rEdges = Array.from({ length: nr + 1 }, (_, i) => i * dr);
+        const zEdges = Array.from({ length: nz + 1 }, (_, j) => zMin_cm + j * dz);
+
+        // Cell materials and external sources
+        const cells = [];
+        for (let j = 0; j < nz; j++) {
+            cells.push([]);
+            const z = zEdges[j] + dz / 2;
+            for (let i = 0; i < nr; i++) {
+                const r = rEdges[i] + dr / 2;
+                const reg = regions.find(R => r >= R.rMin && r <= R.rMax && z >= R.zMin && z <= R.zMax);
+                if (!reg) throw new Error(`r-z cell at r = ${r.toFixed(2)}, z = ${z.toFixed(2)} cm is not covered by any region`);
+                cells[j].push(reg);
+            }
+        }
+        regions.forEach(reg => this.validateMaterial(reg.material, groups));
+        const volume = rEdges.slice(0, nr).map((r, i) => Math.PI * (rEdges[i + 1] * rEdges[i + 1] - r * r) * dz);
+        const radialArea = rEdges.map(r => 2 * Math.PI * r * dz);
+        const axialArea = volume.map(v => v / dz);
+
+        const external = Array.from({ length: groups }, (_, g) => cells.map(row =>
+            row.map((reg, i) => ((reg.source && reg.source[g]) || 0) * volume[i])));
+        pointSources.forEach(ps => {
+            const j = Math.min(nz - 1, Math.max(0, Math.floor((ps.z_cm - zMin_cm) / dz)));
+            ps.strength.forEach((S, g) => { external[g][j][0] += S || 0; });
+        });
+
+        const materials = cells.flat().map(reg => reg.material);
+        const upscatter = this.hasUpscatter(materials);
+        const phi = Array.from({ length: groups }, () => null);
+        let iterations = 0;
+        let converged = true;
+        let outerIterations = 0;
+
+        for (; outerIterations < (upscatter ? this.MAX_OUTER : 1); outerIterations++) {
+            let outerChange = 0;
+            for (let g = 0; g < groups; g++) {
+                const D = cells.map(row => row.map(reg => reg.material.D[g]));
+                const rem = cells.map(row => row.map(reg => this.removal(reg.material, g)));
+                const q = cells.map((row, j) => row.map((reg, i) => {
+                    let s = external[g][j][i];
+                    (reg.material.scatter || []).forEach((srow, gp) => {
+                        if (gp !== g && srow && srow[g] > 0 && phi[gp]) s += srow[g] * phi[gp][j][i] * volume[i];
+                    });
+                    return s;
+                }));
+                const coupleZ = (j, i, jn) => axialArea[i] / (dz / (2 * D[j][i]) + dz / (2 * D[jn][i]));
+
+                // Row matrices (radial coupling + axial coupling on the diagonal), fixed per group
+                const rows = cells.map((row, j) => {
+                    const a = new Array(nr).fill(0);
+                    const b = rem[j].map((s, i) => s * volume[i]);
+                    const c = new Array(nr).fill(0);
+                    for (let i = 0; i < nr - 1; i++) {
+                        const k = radialArea[i + 1] / (dr / (2 * D[j][i]) + dr / (2 * D[j][i + 1]));
+                        b[i] += k;
+                        c[i] = -k;
+                        b[i + 1] += k;
+                        a[i + 1] = -k;
+                    }
+                    b[nr - 1] += radialArea[nr] * this.boundaryCoupling(outer, D[j][nr - 1], dr);
+                    const down = row.map((_, i) => (j > 0 ? coupleZ(j, i, j - 1) : 0));
+                    const up = row.map((_, i) => (j < nz - 1 ? coupleZ(j, i, j + 1) : 0));
+                    for (let i = 0; i < nr; i++) {
+                        b[i] += j > 0 ? down[i] : axialArea[i] * this.boundaryCoupling(bottom, D[j][i], dz);
+                        b[i] += j < nz - 1 ? up[i] : axialArea[i] * this.boundaryCoupling(top, D[j][i], dz);
+                    }
+                    return { a, b, c, down, up };
+                });
+                const next = phi[g] ? phi[g].map(row => [...row]) : cells.map(row => row.map(() => 0));
+
+                let inner = 0;
+                for (; inner < this.MAX_INNER; inner++) {
+                    let change = 0;
+                    for (let j = 0; j < nz; j++) {
+                        const { a, b, c, down, up } = rows[j];
+                        const d = q[j].map((v, i) => v +
+                            (j > 0 ? down[i] * next[j - 1][i] : 0) + (j < nz - 1 ? up[i] * next[j + 1][i] : 0));
+                        const row = this.thomas(a, b, c, d).map((v, i) => next[j][i] + this.SOR_OMEGA * (v - next[j][i]));
+                        row.forEach((v, i) => {
+                            change = Math.max(change, Math.abs(v - next[j][i]) / Math.max(Math.abs(v), 1e-300));
+                        });
+                        next[j] = row;
+                    }
+                    if (change < this.TOLERANCE) break;
+                }
+                iterations += inner + 1;
+                if (inner >= this.MAX_INNER) converged = false;
+
+                if (phi[g]) {
+                    next.forEach((row, j) => row.forEach((v, i) => {
+                        outerChange = Math.max(outerChange, Math.abs(v - phi[g][j][i]) / Math.max(Math.abs(v), 1e-300));
+                    }));
+                } else {
+                    outerChange = Infinity;
+                }
+                phi[g] = next;
+            }
+            if (outerChange < this.TOLERANCE) break;
+        }
+
+        const cellAt = (r_cm, z_cm) => [
+            Math.min(nz - 1, Math.max(0, Math.floor((z_cm - zMin_cm) / dz))),
+            Math.min(nr - 1, Math.max(0, Math.floor(r_cm / dr)))
+        ];
+        return {
+            rEdges,
+            zEdges,
+            phi,
+            converged,
+            iterations,
+            outerIterations: outerIterations + 1,
+            targets: targets.map(({ r_cm, z_cm }) => {
+                const [j, i] = cellAt(r_cm, z_cm);
+                return { r_cm, z_cm, phi: phi.map(p => p[j][i]) };
+            })
+        };
+    }
+};
@@ -0,0 +1,144 @@
+/**
+ * generator.js
+ *
+ * Radionuclide Generator Model (Mo-99/Tc-99m, W-188/Re-188).
+ * Simulates daughter in-growth on the column and a repeated elution schedule
+ * over the generator shelf life, using the Bateman solutions of Model.
+ *
+ * STRICT SEPARATION: No DOM access. Times in s, activities in Bq.
+ */
+
+import { Model } from './model.js';
+
+export const Generator = {
+
+    // Longest elution schedule simulated (one matrix exponential per elution)
+    MAX_ELUTIONS: 10000,
+
+    /**
+     * Parent/daughter decay matrix of a generator column
+     *
+     * @param {number} lambda_p - Parent decay constant λ_p (s^-1)
+     * @param {number} lambda_d - Daughter decay constant λ_d (s^-1)
+     * @param {number} branching - Fraction of parent decays feeding the daughter (0-1)
+     * @returns {Array<Array<number>>} Decay matrix Λ (2×2), Model.batemanMultiStep convention
+     *   index 0 = parent, 1 = daughter
+     */
+    decayMatrix: function (lambda_p, lambda_d, branching) {
+        return [
+            [-lambda_p, 0],
+            [branching * lambda_p, -lambda_d]
+        ];
+    },
+
+    /**
+     * Daughter activity grown in from a freshly eluted column
+     *
+     * @param {number} A_parent - Parent activity at t = 0 (Bq)
+     * @param {Object} generator - PathwaysRegistry generator entry plus parentHalfLife (days)
+     * @param {number} t - Time since last elution (s)
+     * @returns {Object} { parent_Bq, daughter_Bq }
+     *
+     * Formula: A_d(t) = BR * A_p(0) * λ_d / (λ_d - λ_p) * (exp(-λ_p t) - exp(-λ_d t))
+     */
+    ingrowth: function (A_parent, generator, t) {
+        const lambda_p = Model.decayConstant(generator.parentHalfLife);
+        const lambda_d = Model.decayConstant(generator.halfLife);
+        const N = Model.batemanMultiStep(
+            [A_parent / lambda_p, 0],
+            this.decayMatrix(lambda_p, lambda_d, generator.branching),
+            t
+        );
+        return { parent_Bq: Model.activity(lambda_p, N[0]), daughter_Bq: Model.activity(lambda_d, N[1]) };
+    },
+
+    /**
+     * Time of maximum daughter activity after an elution
+     *
+     * @param {Object} generator - PathwaysRegistry generator entry plus parentHalfLife (days)
+     * @returns {number} t_max (s)
+     *
+     * Formula: t_max = ln(λ_d / λ_p) / (λ_d - λ_p)
+     */
+    timeOfMaxDaughter: function (generator) {
+        const lambda_p = Model.decayConstant(generator.parentHalfLife);
+        const lambda_d = Model.decayConstant(generator.halfLife);
+        return Math.log(lambda_d / lambda_p) / (lambda_d - lambda_p);
+    },
+
+    /**
+     * Simulate an elution schedule over the generator shelf life
+     *
+     * @param {Object} params
+     *   {
+     *     A_parent: number,        // Parent activity loaded at calibration, t = 0 (Bq)
+     *     parentHalfLife: number,  // days
+     *     halfLife: number,        // Daughter half-life (days)
+     *     branching: number,       // Parent -> daughter fraction (0-1)
+     *     elutionInterval: number, // h between elutions (first elution one interval after calibration)
+     *     efficiency: number,      // Fraction of column daughter removed per elution (0-1)
+     *     breakthrough: number,    // Fraction of column parent washed into each eluate (0-1)
+     *     breakthroughLimit: number, // Max A_parent / A_daughter in the eluate (optional)
+     *     shelfLife: number        // days
+     *   }
+     * @returns {Object} { elutions, totalDaughter_Bq, totalBreakthrough_Bq, maxBreakthroughRatio,
+     *   breakthroughExceeded }
+     *   elutions: [{ t_s, column_Bq, daughter_Bq, breakthrough_Bq, breakthroughRatio }]
+     *   (the elution yield curve: eluted daughter activity at each elution time)
+     * @throws {Error} If the schedule parameters are invalid or exceed MAX_ELUTIONS elutions
+     *
+     * Between elutions the column evolves by Model.batemanMultiStep; each elution removes
+     * ε N_d of the daughter and the breakthrough fraction of the parent.
+     */
+    simulate: function (params) {
+        const {
+            A_parent, parentHalfLife, halfLife, branching = 1.0,
+            elutionInterval, efficiency, breakthrough = 0, breakthroughLimit = null, shelfLife
+        } = params;
+
+        if (!(elutionInterval > 0) || !(shelfLife > 0)) {
+            throw new Error('Elution interval and shelf life must be positive');
+        }
+        if (!(efficiency >= 0 && efficiency <= 1) || !(breakthrough >= 0 && breakthrough <= 1)) {
+            throw new Error('Elution efficiency and breakthrough must be between 0 and 1');
+        }
+
+        const dt = elutionInterval * 3600;
+        const t_end = shelfLife * 24 * 3600;
+        if (Math.floor(t_end / dt) > this.MAX_ELUTIONS) {
+            throw new Error(`Elution schedule exceeds ${this.MAX_ELUTIONS} elutions over the shelf life: ` +
+                'increase the elution interval');
+        }
+
+        const lambda_p = Model.decayConstant(parentHalfLife);
+        const lambda_d = Model.decayConstant(halfLife);
+        const matrix = this.decayMatrix(lambda_p, lambda_d, branching);
+
+        let N = [A_parent / lambda_p, 0];
+        const elutions = [];
+        for (let t = dt; t <= t_end + 1e-6; t += dt) {
+            N = Model.batemanMultiStep(N, matrix, dt);
+            const column_Bq = Model.activity(lambda_d, N[1]);
+            const daughter_Bq = column_Bq * efficiency;
+            const breakthrough_Bq = Model.activity(lambda_p, N[0]) * breakthrough;
+
+            N = [N[0] * (1 - breakthrough), N[1] * (1 - efficiency)];
+            elutions.push({
+                t_s: t,
+                column_Bq,
+                daughter_Bq,
+                breakthrough_Bq,
+                breakthroughRatio: daughter_Bq > 0 ? breakthrough_Bq / daughter_Bq : 0
+            });
+        }
+
+        const maxBreakthroughRatio = elutions.reduce((max, e) => Math.max(max, e.breakthroughRatio), 0);
+        return {
+            elutions,
+            totalDaughter_Bq: elutions.reduce((sum, e) => sum + e.daughter_Bq, 0),
+            totalBreakthrough_Bq: elutions.reduce((sum, e) => sum + e.breakthrough_Bq, 0),
+            maxBreakthroughRatio,
+            breakthroughExceeded: breakthroughLimit !== null && maxBreakthroughRatio > breakthroughLimit
+        };
+    }
+};
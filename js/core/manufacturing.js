@@ -90,6 +90,35 @@ export const Manufacturing = {
         };
     },
 
+    /**
+     * Campaign calendar: N irradiation cycles separated by shutdown gaps
+     * (target harvest / swap / maintenance), on the same cycle arithmetic as operationsAnalysis
+     *
+     * @param {Object} params - { irradiationTime_days, shutdownGap_days, cycles, sourceUptime }
+     * @returns {Object} { cycles: [{ cycle, start_days, eob_days }], campaignLength_days, campaignsPerYear }
+     */
+    campaignCalendar: function (params) {
+        const {
+            irradiationTime_days = 7,
+            shutdownGap_days = 2,
+            cycles = 1,
+            sourceUptime = 0.85
+        } = params;
+
+        const period_days = irradiationTime_days + shutdownGap_days;
+        const calendar = [];
+        for (let i = 0; i < cycles; i++) {
+            calendar.push({ cycle: i + 1, start_days: i * period_days, eob_days: i * period_days + irradiationTime_days });
+        }
+        const campaignLength_days = cycles > 0 ? cycles * period_days - shutdownGap_days : 0;
+
+        return {
+            cycles: calendar,
+            campaignLength_days,
+            campaignsPerYear: cycles > 0 ? (365 * sourceUptime) / (cycles * period_days) : 0
+        };
+    },
+
     costAnalysis: function (params) {
         const {
             capitalCost_USD = 10e6,
@@ -0,0 +1,173 @@
+/**
+ * moderator.js
+ *
+ * Neutron-Moderator Assembly Model.
+ * Converts the bare 14 MeV flux of a point-like D-T / accelerator source into the
+ * thermal, epithermal and fast flux delivered to a target embedded in (or placed behind)
+ * a moderator sphere around the source, with an optional reflector shell
+ * (see Sources.acceptsModerator).
+ *
+ * Method: spherical 1D multigroup diffusion (Diffusion.solve1D), source at the centre.
+ *   dt14:        uncollided, φ = S exp(-τ(r)) / (4π r^2)
+ *   fast/epi/th: diffusion groups, downscatter only, vacuum boundary at the outer surface
+ * The 14 MeV collision density (× multiplicity for (n,2n)) is the fast-group source.
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm, fluxes per source neutron.
+ */
+
+import { Diffusion } from './diffusion.js';
+import { ModeratorMaterials } from '../data/moderators.js';
+
+export const Moderator = {
+
+    LAYOUTS: {
+        NONE: 'none',
+        SHELL: 'shell',         // moderator sphere of radius `thickness` around the source
+        REFLECTED: 'reflected'  // moderator sphere + reflector shell of `reflectorThickness`
+    },
+
+    // Diffusion groups below the 14 MeV group, in downscatter order
+    GROUPS: ['fast', 'epithermal', 'thermal'],
+
+    // Radial mesh: cell width (cm), capped cell count
+    MESH_DR: Diffusion.DEFAULT_MESH_CM,
+    MAX_CELLS: 800,
+
+    /**
+     * Material regions of an assembly
+     *
+     * @param {Object} assembly
+     *   { layout, material, thickness_cm, reflectorMaterial, reflectorThickness_cm }
+     * @returns {Array<Object>} [{ material, outer_cm }] from the centre outwards (empty for 'none')
+     * @throws {Error} On unknown layouts / materials or non-positive thicknesses
+     */
+    regions: function (assembly) {
+        const { layout = this.LAYOUTS.NONE, material, thickness_cm, reflectorMaterial, reflectorThickness_cm } = assembly;
+        if (layout === this.LAYOUTS.NONE) return [];
+        if (layout !== this.LAYOUTS.SHELL && layout !== this.LAYOUTS.REFLECTED) {
+            throw new Error(`Unknown moderator layout: ${layout}`);
+        }
+
+        const lookup = (id) => {
+            const mat = ModeratorMaterials.get(id);
+            if (!mat) throw new Error(`Unknown moderator material: ${id}`);
+            return mat;
+        };
+        if (!(thickness_cm > 0)) throw new Error('Moderator thickness must be positive');
+        const regions = [{ material: lookup(material), outer_cm: thickness_cm }];
+
+        if (layout === this.LAYOUTS.REFLECTED) {
+            if (!(reflectorThickness_cm > 0)) throw new Error('Reflector thickness must be positive');
+            regions.push({ material: lookup(reflectorMaterial), outer_cm: thickness_cm + reflectorThickness_cm });
+        }
+        return regions;
+    },
+
+    /**
+     * Diffusion.solve1D material of a moderator (fast -> epithermal -> thermal downscatter)
+     */
+    diffusionMaterial: function (material) {
+        const groups = this.GROUPS.map(g => material.groups[g]);
+        return {
+            D: groups.map(c => c.D),
+            sigmaA: groups.map(c => c.sigmaA),
+            scatter: groups.map((c, g) => groups.map((_, gp) => (gp === g + 1 ? (c.sigmaR || 0) : 0)))
+        };
+    },
+
+    /**
+     * 14 MeV optical depth from the centre to radius r
+     * Formula: τ(r) = ∫_0^r Σ_t14 dr'
+     */
+    opticalDepth: function (regions, r_cm) {
+        let tau = 0;
+        let lo = 0;
+        for (const reg of regions) {
+            tau += reg.material.sigmaT14 * Math.max(0, Math.min(r_cm, reg.outer_cm) - lo);
+            lo = reg.outer_cm;
+        }
+        return tau;
+    },
+
+    /**
+     * Solve the spherical multigroup problem for one source neutron
+     *
+     * @param {Array<Object>} regions - See regions()
+     * @returns {Object} Diffusion.solve1D solution (groups in GROUPS order, per source neutron)
+     *
+     * Formula: fast-group source in the shell [r-, r+] (collisions of uncollided 14 MeV neutrons)
+     *   Q = m ∫ Σ_t14 φ_14 dV = m (exp(-τ(r-)) - exp(-τ(r+)))
+     */
+    solve: function (regions) {
+        const R = regions[regions.length - 1].outer_cm;
+        return Diffusion.solve1D({
+            geometry: Diffusion.GEOMETRIES.SPHERE,
+            groups: this.GROUPS.length,
+            regions: regions.map(reg => ({ outer_cm: reg.outer_cm, material: this.diffusionMaterial(reg.material) })),
+            mesh_cm: Math.max(this.MESH_DR, R / this.MAX_CELLS),
+            boundary: { outer: Diffusion.BOUNDARIES.VACUUM },
+            cellSource: (g, lo, hi) => {
+                if (g !== 0) return 0;
+                const reg = regions.find(r => (lo + hi) / 2 <= r.outer_cm);
+                return reg.material.multiplicity14 *
+                    (Math.exp(-this.opticalDepth(regions, lo)) - Math.exp(-this.opticalDepth(regions, hi)));
+            }
+        });
+    },
+
+    /**
+     * Group flux per source neutron at distance r from the source
+     *
+     * @param {Array<Object>} regions - See regions()
+     * @param {Object} solution - solve() result
+     * @param {number} r_cm - Target distance (cm)
+     * @returns {Object} { dt14, fast, epithermal, thermal } (cm^-2 per source neutron)
+     *
+     * dt14 is the exact uncollided flux; the diffusion groups come from Diffusion.fluxAt1D
+     * (falling off as (R / r)^2 beyond the outer radius R).
+     */
+    fluxAt: function (regions, solution, r_cm) {
+        const r = Math.max(r_cm, solution.edges[1] / 2);
+        const result = { dt14: Math.exp(-this.opticalDepth(regions, r)) / (4 * Math.PI * r * r) };
+        const groups = Diffusion.fluxAt1D(solution, r);
+        this.GROUPS.forEach((g, k) => { result[g] = groups[k]; });
+        return result;
+    },
+
+    /**
+     * Moderated-to-bare transfer factors at the target distance
+     *
+     * @param {Object} assembly - See regions()
+     * @param {number} r_cm - Source-to-target distance (cm)
+     * @returns {Object|null} { dt14, fast, epithermal, thermal } group flux per unit bare
+     *   uncollided flux S / (4π r^2); null for layout 'none'
+     * @throws {Error} On invalid assemblies
+     */
+    transferFactors: function (assembly, r_cm) {
+        const regions = this.regions(assembly);
+        if (regions.length === 0) return null;
+
+        const r = Math.max(r_cm, 0.1);
+        const flux = this.fluxAt(regions, this.solve(regions), r);
+        const bare = 1 / (4 * Math.PI * r * r);
+        const factors = {};
+        Object.keys(flux).forEach(g => { factors[g] = flux[g] / bare; });
+        return factors;
+    },
+
+    /**
+     * Moderate a bare source flux
+     *
+     * @param {number} phi_bare - Bare uncollided source flux at the target (cm^-2 s^-1)
+     * @param {Object} factors - transferFactors() result
+     * @returns {Object} Moderated group spectrum (replaces the bare spectrum and its room-return tail)
+     *
+     * All source neutrons are treated as 14 MeV emitters (D-Be / spallation spectra are
+     * softer, so their moderated flux is slightly underestimated).
+     */
+    moderate: function (phi_bare, factors) {
+        const moderated = {};
+        Object.keys(factors).forEach(g => { moderated[g] = phi_bare * factors[g]; });
+        return moderated;
+    }
+};
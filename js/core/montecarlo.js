@@ -0,0 +1,487 @@
+/**
+ * montecarlo.js
+ *
+ * Lightweight Analog Monte Carlo Neutron Transport (verification runs).
+ * CSG cells built from axis-aligned spheres, finite cylinders and boxes / slabs,
+ * multigroup cross sections with isotropic scattering, a seeded RNG and
+ * track-length flux tallies with per-history statistical errors.
+ * Used to check the geometric flux approximations (Model.fluxFromSolidAngle,
+ * Sources.gdtTrapFlux) and the moderator model; runs in a
+ * Web Worker (js/workers/montecarloWorker.js).
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm, fluxes per source neutron.
+ */
+
+import { Sources } from './sources.js';
+import { ModeratorMaterials } from '../data/moderators.js';
+
+export const MonteCarlo = {
+
+    // Groups of scenario problems (fast -> thermal), NuclearData.energyGroups ids
+    SCENARIO_GROUPS: ['dt14', 'fast', 'epithermal', 'thermal'],
+
+    // Surface nudge after a boundary crossing (cm)
+    EPSILON: 1e-7,
+
+    // Histories per worker batch (progress granularity)
+    BATCH: 5000,
+
+    /**
+     * Seeded uniform RNG in [0, 1) (xoshiro128**, seeded through splitmix32)
+     *
+     * @param {number} seed - Integer seed
+     * @returns {Function} () => number
+     */
+    rng: function (seed) {
+        let x = seed >>> 0;
+        const splitmix = () => {
+            x = (x + 0x9e3779b9) >>> 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b) >>> 0;
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35) >>> 0;
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+        const s = [splitmix(), splitmix(), splitmix(), splitmix()];
+        const rotl = (v, k) => (v << k) | (v >>> (32 - k));
+        return () => {
+            const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+            const t = s[1] << 9;
+            s[2] ^= s[0];
+            s[3] ^= s[1];
+            s[1] ^= s[2];
+            s[0] ^= s[3];
+            s[2] ^= t;
+            s[3] = rotl(s[3], 11);
+            return result / 4294967296;
+        };
+    },
+
+    /**
+     * Is a point inside a body?
+     *
+     * @param {Object} body
+     *   sphere:   { type, center: [x, y, z], radius }
+     *   cylinder: { type, axis: 0|1|2, center: [x, y, z], radius, min, max }  // min/max along the axis
+     *   box:      { type, min: [x, y, z], max: [x, y, z] }  // ±Infinity for slabs
+     * @param {Array<number>} p
+     */
+    insideBody: function (body, p) {
+        if (body.type === 'sphere') {
+            const dx = p[0] - body.center[0], dy = p[1] - body.center[1], dz = p[2] - body.center[2];
+            return dx * dx + dy * dy + dz * dz < body.radius * body.radius;
+        }
+        if (body.type === 'cylinder') {
+            const a = body.axis;
+            const [u, v] = [0, 1, 2].filter(k => k !== a);
+            const du = p[u] - body.center[u], dv = p[v] - body.center[v];
+            return p[a] > body.min && p[a] < body.max && du * du + dv * dv < body.radius * body.radius;
+        }
+        if (body.type === 'box') {
+            return [0, 1, 2].every(k => p[k] > body.min[k] && p[k] < body.max[k]);
+        }
+        throw new Error(`Unknown body type: ${body.type}`);
+    },
+
+    /**
+     * Distance along a direction to the nearest surface crossing of a body
+     * (Infinity when the ray never crosses it). Cylinder end planes and box faces are
+     * treated as infinite planes; a spurious stop only costs one relocation.
+     */
+    distanceToBody: function (body, p, d) {
+        let best = Infinity;
+        const consider = (t) => { if (t > 1e-12 && t < best) best = t; };
+        const quadratic = (a, b, c) => {
+            if (a <= 0) return;
+            const disc = b * b - a * c;
+            if (disc < 0) return;
+            const sq = Math.sqrt(disc);
+            consider((-b - sq) / a);
+            consider((-b + sq) / a);
+        };
+
+        if (body.type === 'sphere') {
+            const o = [p[0] - body.center[0], p[1] - body.center[1], p[2] - body.center[2]];
+            quadratic(1, o[0] * d[0] + o[1] * d[1] + o[2] * d[2], o[0] * o[0] + o[1] * o[1] + o[2] * o[2] - body.radius * body.radius);
+        } else if (body.type === 'cylinder') {
+            const a = body.axis;
+            const [u, v] = [0, 1, 2].filter(k => k !== a);
+            const ou = p[u] - body.center[u], ov = p[v] - body.center[v];
+            quadratic(d[u] * d[u] + d[v] * d[v], ou * d[u] + ov * d[v], ou * ou + ov * ov - body.radius * body.radius);
+            if (d[a] !== 0) {
+                consider((body.min - p[a]) / d[a]);
+                consider((body.max - p[a]) / d[a]);
+            }
+        } else if (body.type === 'box') {
+            for (let k = 0; k < 3; k++) {
+                if (d[k] === 0) continue;
+                consider((body.min[k] - p[k]) / d[k]);
+                consider((body.max[k] - p[k]) / d[k]);
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Analytic volume of a single body (null when unbounded)
+     */
+    bodyVolume: function (body) {
+        if (body.type === 'sphere') return 4 / 3 * Math.PI * Math.pow(body.radius, 3);
+        if (body.type === 'cylinder') return Math.PI * body.radius * body.radius * (body.max - body.min);
+        const v = [0, 1, 2].reduce((prod, k) => prod * (body.max[k] - body.min[k]), 1);
+        return Number.isFinite(v) ? v : null;
+    },
+
+    /**
+     * First cell (in problem order) containing a point, or null (escaped)
+     */
+    locate: function (problem, p) {
+        return problem.cells.find(cell =>
+            cell.inside.every(id => this.insideBody(problem.bodies[id], p)) &&
+            !(cell.outside || []).some(id => this.insideBody(problem.bodies[id], p))) || null;
+    },
+
+    /**
+     * Validate a problem and derive per-material totals / tally volumes
+     *
+     * @param {Object} problem
+     *   {
+     *     groups: number,
+     *     bodies: { id: body },                       // see insideBody
+     *     materials: { id: { sigmaA: [G], scatter: [G][G], multiplicity: [G] } },
+     *                 // scatter[g][g']: g -> g' (in-group included), cm^-1;
+     *                 // multiplicity: neutrons emitted per scattering collision in g (default 1)
+     *     cells: [{ name, inside: [bodyId], outside: [bodyId], material: id|null, tally, volume }],
+     *                 // first match wins; points outside every cell are lost
+     *     source: { type: 'point', position, spectrum: [G] }
+     *           | { type: 'cylinder', axis, center, radius, length, weights, spectrum }
+     *                 // volume source, weights over equal axial slices (default uniform)
+     *   }
+     * @returns {Object} Prepared problem (sigmaT per material, tally list)
+     * @throws {Error} On invalid bodies, materials, cells or sources
+     */
+    prepare: function (problem) {
+        const { groups, bodies, materials = {}, cells, source } = problem;
+        if (!(groups >= 1) || !Array.isArray(cells) || cells.length === 0) {
+            throw new Error('Monte Carlo problem needs at least one group and one cell');
+        }
+        const sigmaT = {};
+        Object.entries(materials).forEach(([id, m]) => {
+            if (!Array.isArray(m.sigmaA) || m.sigmaA.length !== groups || !Array.isArray(m.scatter)) {
+                throw new Error(`Material ${id} needs sigmaA and scatter for ${groups} groups`);
+            }
+            sigmaT[id] = m.sigmaA.map((a, g) => a + m.scatter[g].reduce((sum, s) => sum + s, 0));
+        });
+        const tallies = [];
+        cells.forEach((cell, index) => {
+            cell.inside.concat(cell.outside || []).forEach(id => {
+                if (!bodies[id]) throw new Error(`Cell ${cell.name} references unknown body ${id}`);
+            });
+            if (cell.material !== null && cell.material !== undefined && !materials[cell.material]) {
+                throw new Error(`Cell ${cell.name} references unknown material ${cell.material}`);
+            }
+            if (cell.tally) {
+                const volume = cell.volume ||
+                    (cell.inside.length === 1 && !(cell.outside || []).length ? this.bodyVolume(bodies[cell.inside[0]]) : null);
+                if (!(volume > 0)) throw new Error(`Tally cell ${cell.name} needs a volume`);
+                tallies.push({ cell: index, name: cell.name, volume });
+            }
+        });
+        if (!source || (source.type !== 'point' && source.type !== 'cylinder')) {
+            throw new Error('Monte Carlo source must be a point or cylinder source');
+        }
+        const cdf = (weights) => {
+            const total = weights.reduce((s, w) => s + w, 0);
+            let acc = 0;
+            return weights.map(w => (acc += w / total));
+        };
+        return {
+            ...problem,
+            sigmaT,
+            tallies,
+            tallyOf: cells.map((_, i) => tallies.findIndex(t => t.cell === i)),
+            bodyList: Object.values(bodies),
+            spectrumCdf: cdf(source.spectrum || [1]),
+            axialCdf: source.type === 'cylinder' && source.weights ? cdf(source.weights) : null
+        };
+    },
+
+    /**
+     * Index sampled from a cumulative distribution
+     */
+    sampleCdf: function (cdf, xi) {
+        const i = cdf.findIndex(c => xi < c);
+        return i < 0 ? cdf.length - 1 : i;
+    },
+
+    isotropic: function (rand) {
+        const mu = 2 * rand() - 1;
+        const phi = 2 * Math.PI * rand();
+        const s = Math.sqrt(1 - mu * mu);
+        return [s * Math.cos(phi), s * Math.sin(phi), mu];
+    },
+
+    /**
+     * Sample a source neutron { p, d, g }
+     */
+    sampleSource: function (prep, rand) {
+        const src = prep.source;
+        const g = this.sampleCdf(prep.spectrumCdf, rand());
+        if (src.type === 'point') return { p: [...src.position], d: this.isotropic(rand), g };
+
+        const a = src.axis;
+        const [u, v] = [0, 1, 2].filter(k => k !== a);
+        const slices = prep.axialCdf ? prep.axialCdf.length : 1;
+        const slice = prep.axialCdf ? this.sampleCdf(prep.axialCdf, rand()) : 0;
+        const p = [...src.center];
+        p[a] += src.length * ((slice + rand()) / slices - 0.5);
+        const r = src.radius * Math.sqrt(rand());
+        const theta = 2 * Math.PI * rand();
+        p[u] += r * Math.cos(theta);
+        p[v] += r * Math.sin(theta);
+        return { p, d: this.isotropic(rand), g };
+    },
+
+    /**
+     * Create a run state (seeded RNG and empty tallies)
+     */
+    createRun: function (problem, seed = 12345) {
+        const prep = this.prepare(problem);
+        const zeros = () => prep.tallies.map(() => new Array(prep.groups).fill(0));
+        return {
+            prep,
+            rand: this.rng(seed),
+            histories: 0,
+            sum: zeros(),
+            sumSq: zeros(),
+            totalSum: prep.tallies.map(() => 0),
+            totalSumSq: prep.tallies.map(() => 0)
+        };
+    },
+
+    /**
+     * Transport n more histories (analog: implicit capture off, no splitting)
+     *
+     * Each history follows its source neutron and all secondaries ((n,2n) multiplicity);
+     * tallies score the track length in each tally cell per group, accumulated per history.
+     */
+    runHistories: function (state, n) {
+        const { prep, rand } = state;
+        const score = prep.tallies.map(() => new Array(prep.groups).fill(0));
+
+        for (let h = 0; h < n; h++) {
+            score.forEach(row => row.fill(0));
+            const bank = [this.sampleSource(prep, rand)];
+
+            while (bank.length > 0) {
+                const particle = bank.pop();
+                let { p, d, g } = particle;
+                let cellIndex = prep.cells.indexOf(this.locate(prep, p));
+
+                while (cellIndex >= 0) {
+                    const cell = prep.cells[cellIndex];
+                    const toBoundary = prep.bodyList.reduce((min, body) => Math.min(min, this.distanceToBody(body, p, d)), Infinity);
+                    const material = cell.material !== null && cell.material !== undefined ? cell.material : null;
+                    const sigT = material !== null ? prep.sigmaT[material][g] : 0;
+                    const toCollision = sigT > 0 ? -Math.log(1 - rand()) / sigT : Infinity;
+                    const step = Math.min(toBoundary, toCollision);
+                    if (!Number.isFinite(step)) break; // streaming to infinity
+
+                    const t = prep.tallyOf[cellIndex];
+                    if (t >= 0) score[t][g] += step;
+                    p = [p[0] + step * d[0], p[1] + step * d[1], p[2] + step * d[2]];
+
+                    if (toCollision < toBoundary) {
+                        const mat = prep.materials[material];
+                        const xi = rand() * sigT;
+                        if (xi < mat.sigmaA[g]) break; // absorbed
+                        const row = mat.scatter[g];
+                        let acc = mat.sigmaA[g];
+                        let gp = row.findIndex(s => xi < (acc += s));
+                        if (gp < 0) gp = row.length - 1;
+                        const m = (mat.multiplicity && mat.multiplicity[g]) || 1;
+                        const count = Math.floor(m) + (rand() < m - Math.floor(m) ? 1 : 0);
+                        for (let k = 1; k < count; k++) bank.push({ p: [...p], d: this.isotropic(rand), g: gp });
+                        if (count === 0) break;
+                        d = this.isotropic(rand);
+                        g = gp;
+                    } else {
+                        p = [p[0] + this.EPSILON * d[0], p[1] + this.EPSILON * d[1], p[2] + this.EPSILON * d[2]];
+                        cellIndex = prep.cells.indexOf(this.locate(prep, p));
+                    }
+                }
+            }
+
+            score.forEach((row, t) => {
+                let total = 0;
+                row.forEach((x, g) => {
+                    state.sum[t][g] += x;
+                    state.sumSq[t][g] += x * x;
+                    total += x;
+                });
+                state.totalSum[t] += total;
+                state.totalSumSq[t] += total * total;
+            });
+        }
+        state.histories += n;
+        return state;
+    },
+
+    /**
+     * Tally results of a run
+     *
+     * @param {Object} state - createRun / runHistories state
+     * @returns {Object} { histories, tallies: [{ name, volume, flux: [G], relError: [G], total, totalRelError }] }
+     *   flux per source neutron (cm^-2); relError = σ_mean / mean (Infinity without scores)
+     *
+     * Formula: φ = Σ track length / (V N),  σ_mean^2 = (<x^2> - <x>^2) / (N - 1)
+     */
+    results: function (state) {
+        const N = state.histories;
+        const stats = (sum, sumSq, volume) => {
+            const mean = sum / N;
+            const variance = N > 1 ? Math.max(0, (sumSq / N - mean * mean) / (N - 1)) : Infinity;
+            return { flux: mean / volume, relError: mean > 0 ? Math.sqrt(variance) / mean : Infinity };
+        };
+        return {
+            histories: N,
+            tallies: state.prep.tallies.map((tally, t) => {
+                const groups = state.sum[t].map((s, g) => stats(s, state.sumSq[t][g], tally.volume));
+                const total = stats(state.totalSum[t], state.totalSumSq[t], tally.volume);
+                return {
+                    name: tally.name,
+                    volume: tally.volume,
+                    flux: groups.map(x => x.flux),
+                    relError: groups.map(x => x.relError),
+                    total: total.flux,
+                    totalRelError: total.relError
+                };
+            })
+        };
+    },
+
+    /**
+     * Run a problem to completion (no worker)
+     */
+    run: function (problem, { histories = 10000, seed = 12345 } = {}) {
+        return this.results(this.runHistories(this.createRun(problem, seed), histories));
+    },
+
+    /**
+     * Monte Carlo material of a moderator (SCENARIO_GROUPS structure)
+     * dt14: every collision moves to the fast group with the (n,2n) multiplicity;
+     * diffusion groups: Σ_t = 1 / (3D) (transport approximation), in-group scatter
+     * Σ_s,gg = Σ_t - Σ_a - Σ_R (isotropic).
+     */
+    moderatorMaterial: function (material) {
+        const diffusionGroups = ['fast', 'epithermal', 'thermal'];
+        const sigmaA = [0];
+        const scatter = [[0, material.sigmaT14, 0, 0]];
+        diffusionGroups.forEach((id, k) => {
+            const c = material.groups[id];
+            const g = k + 1;
+            const row = [0, 0, 0, 0];
+            const removal = c.sigmaR || 0;
+            row[g] = Math.max(0, 1 / (3 * c.D) - c.sigmaA - removal);
+            if (g < 3) row[g + 1] = removal;
+            sigmaA.push(c.sigmaA);
+            scatter.push(row);
+        });
+        return { sigmaA, scatter, multiplicity: [material.multiplicity14, 1, 1, 1] };
+    },
+
+    /**
+     * Build the verification problem of a scenario (same frame as Spatial.integrate)
+     *
+     * @param {Object} scenario
+     *   {
+     *     sourceType, sourceParams,    // Sources type and parameters (fast sources only)
+     *     distance_cm, axial_cm,       // Target centre distance from the source (axis), GDT axial position
+     *     geometry                     // Spatial target geometry (shape, radius, thickness, innerRadius,
+     *                                  // width, height, offsetX_cm)
+     *   }
+     * @returns {Object} { problem, strength_n_s } - problem per source neutron, source strength (n/s)
+     * @throws {Error} For sources without a transportable geometry (fixed flux, reactor)
+     *
+     * The target is a void tally cell (unperturbed flux, as in the analytic models); the
+     * moderator assembly of sourceParams, if any, surrounds a point-like source
+     * (Sources.acceptsModerator).
+     */
+    scenarioProblem: function (scenario) {
+        const { sourceType, sourceParams, distance_cm, axial_cm = 0, geometry } = scenario;
+        if (!Sources.isFastSource(sourceType)) {
+            throw new Error('Monte Carlo verification applies to D-T, GDT and accelerator sources');
+        }
+
+        const bodies = {};
+        const cells = [];
+        const materials = {};
+        const x0 = geometry.offsetX_cm || 0;
+        const z0 = distance_cm;
+        const { shape, radius, thickness, innerRadius = 0, width, height } = geometry;
+
+        // Target (void tally cell)
+        let volume;
+        if (shape === 'sphere') {
+            bodies.target = { type: 'sphere', center: [x0, 0, z0], radius };
+            volume = 4 / 3 * Math.PI * Math.pow(radius, 3);
+        } else if (shape === 'cylinder') {
+            bodies.target = { type: 'cylinder', axis: 1, center: [x0, 0, z0], radius, min: -thickness / 2, max: thickness / 2 };
+            volume = Math.PI * radius * radius * thickness;
+        } else if (shape === 'plate') {
+            bodies.target = { type: 'box', min: [x0 - width / 2, -height / 2, z0 - thickness / 2], max: [x0 + width / 2, height / 2, z0 + thickness / 2] };
+            volume = width * height * thickness;
+        } else {
+            bodies.target = { type: 'cylinder', axis: 2, center: [x0, 0, z0], radius, min: z0 - thickness / 2, max: z0 + thickness / 2 };
+            volume = Math.PI * radius * radius * thickness;
+            if (shape === 'annulus' && innerRadius > 0) {
+                bodies.hole = { ...bodies.target, radius: innerRadius };
+                volume -= Math.PI * innerRadius * innerRadius * thickness;
+            }
+        }
+        cells.push({ name: 'target', inside: ['target'], outside: bodies.hole ? ['hole'] : [], material: null, tally: true, volume });
+
+        // Moderator assembly around the source
+        let extent = Math.abs(z0) + Math.abs(x0) + Math.max(radius || 0, width || 0, height || 0, thickness || 0);
+        const assembly = Sources.acceptsModerator(sourceType) ? sourceParams.moderator : null;
+        if (assembly && assembly.layout && assembly.layout !== 'none') {
+            const layers = [{ id: assembly.material, outer: assembly.thickness_cm }];
+            if (assembly.layout === 'reflected') {
+                layers.push({ id: assembly.reflectorMaterial, outer: assembly.thickness_cm + assembly.reflectorThickness_cm });
+            }
+            layers.forEach((layer, k) => {
+                const mat = ModeratorMaterials.get(layer.id);
+                if (!mat) throw new Error(`Unknown moderator material: ${layer.id}`);
+                materials[layer.id] = this.moderatorMaterial(mat);
+                bodies[`layer${k}`] = { type: 'sphere', center: [0, 0, 0], radius: layer.outer };
+                cells.push({ name: `layer${k}`, inside: [`layer${k}`], outside: k > 0 ? [`layer${k - 1}`] : [], material: layer.id });
+            });
+            extent = Math.max(extent, layers[layers.length - 1].outer);
+        }
+
+        // Source (spectrum in SCENARIO_GROUPS order)
+        let source;
+        const strength_n_s = Sources.sourceStrength(sourceType, sourceParams);
+        if (sourceType === Sources.TYPES.GDT_TRAP) {
+            const column = Sources.gdtColumn(sourceParams);
+            source = {
+                type: 'cylinder', axis: 0, center: [-axial_cm, 0, 0], radius: column.radius_cm, length: column.length_cm,
+                weights: column.emission.map(e => e.weight), spectrum: [1, 0, 0, 0]
+            };
+            extent = Math.max(extent, column.length_cm / 2 + Math.abs(axial_cm));
+        } else if (sourceType === Sources.TYPES.ACCELERATOR) {
+            const fractions = Sources.ACCELERATOR_CONVERTERS[sourceParams.converter || 'd_be'].spectrum;
+            source = { type: 'point', position: [0, 0, 0], spectrum: this.SCENARIO_GROUPS.map(g => fractions[g] || 0) };
+        } else {
+            source = { type: 'point', position: [0, 0, 0], spectrum: [1, 0, 0, 0] };
+        }
+
+        // World (void) bounds the problem
+        bodies.world = { type: 'sphere', center: [0, 0, 0], radius: 2 * extent + 10 };
+        cells.push({ name: 'world', inside: ['world'], material: null });
+
+        return {
+            problem: { groups: this.SCENARIO_GROUPS.length, bodies, materials, cells, source },
+            strength_n_s
+        };
+    }
+};
@@ -0,0 +1,287 @@
+/**
+ * openmcInterface.js
+ *
+ * OpenMC Model Export (sibling of SolverInterfaces).
+ * Writes the current scenario (pathway, target material and geometry, source type and
+ * distance, moderator assembly) as an OpenMC Python script. The script builds an
+ * openmc.Model with target-cell flux and pathway reaction-rate tallies; run with --xml
+ * it writes materials.xml, geometry.xml, settings.xml and tallies.xml instead of running.
+ *
+ * Uses the SolverInterfaces scenario helpers (target bodies, nuclides, source, spectrum).
+ * GDT scenarios are exported with the plasma column along the OpenMC z axis (OpenMC
+ * coordinates = scenario (y, z, x)) so the column source is a CylindricalIndependent.
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm; OpenMC energies in eV.
+ */
+
+import { Sources } from './sources.js';
+import { Moderator } from './moderator.js';
+import { SolverInterfaces } from './solverInterfaces.js';
+import { NuclearData } from '../data/nuclearData.js';
+
+export const OpenMCInterface = {
+
+    // OpenMC tally scores of the pathway reactions
+    REACTION_SCORES: { '(n,γ)': '(n,gamma)', '(n,p)': '(n,p)', '(n,2n)': '(n,2n)', '(n,α)': '(n,a)' },
+
+    // OpenMC S(α,β) tables for the MCNP tables of ModeratorMaterials
+    THERMAL_SCATTERING: { lwtr: 'c_H_in_H2O', hwtr: 'c_D_in_D2O', grph: 'c_Graphite', poly: 'c_H_in_CH2', be: 'c_Be' },
+
+    BATCHES: 10,
+
+    // Flux-defined sources: isotropic emission from a sphere this many bounding radii around the
+    // target (flux uniform to (a / R)^2 / 3 < 0.5 % over the target)
+    SURFACE_SOURCE_FACTOR: 10,
+
+    /**
+     * OpenMC tally score of a pathway reaction
+     * @throws {Error} For reactions without a score
+     */
+    reactionScore: function (reaction) {
+        const score = this.REACTION_SCORES[reaction];
+        if (!score) throw new Error(`No OpenMC tally score for ${reaction}`);
+        return score;
+    },
+
+    /**
+     * OpenMC nuclide name, e.g. 'Lu176'
+     */
+    nuclideName: function (element, massNumber) {
+        return `${element}${massNumber}`;
+    },
+
+    /**
+     * Python float literal
+     */
+    py: function (x) {
+        return SolverInterfaces.num(x);
+    },
+
+    /**
+     * Python list literal, wrapped at 8 values per line
+     */
+    pyList: function (values, indent = '') {
+        const items = values.map(v => this.py(v));
+        if (items.length <= 8) return `[${items.join(', ')}]`;
+        const lines = [];
+        for (let i = 0; i < items.length; i += 8) lines.push(`${indent}    ${items.slice(i, i + 8).join(', ')},`);
+        return `[\n${lines.join('\n')}\n${indent}]`;
+    },
+
+    /**
+     * Python material definition (atom fractions; natural elements via add_element)
+     */
+    pyMaterial: function (name, label, density_g_cm3, nuclides, thermalScattering = null) {
+        const lines = [
+            `${name} = openmc.Material(name='${SolverInterfaces.ascii(label)}')`,
+            `${name}.set_density('g/cm3', ${this.py(density_g_cm3)})`
+        ];
+        nuclides.forEach(nuc => {
+            lines.push(nuc.massNumber
+                ? `${name}.add_nuclide('${this.nuclideName(nuc.element, nuc.massNumber)}', ${this.py(nuc.atoms)}, 'ao')`
+                : `${name}.add_element('${nuc.element}', ${this.py(nuc.atoms)}, 'ao')`);
+        });
+        if (thermalScattering) {
+            const table = this.THERMAL_SCATTERING[thermalScattering];
+            if (table) lines.push(`${name}.add_s_alpha_beta('${table}')`);
+        }
+        return lines.join('\n');
+    },
+
+    /**
+     * Python surface (sphere / macrobody) of a target body in the export frame
+     * @param {Object} body - SolverInterfaces.targetBodies body
+     * @param {Function} frame - Scenario -> OpenMC coordinates
+     * @returns {string} Python expression
+     */
+    pyBody: function (body, frame) {
+        if (body.type === 'sphere') {
+            const [x0, y0, z0] = frame(body.center).map(v => this.py(v));
+            return `openmc.Sphere(x0=${x0}, y0=${y0}, z0=${z0}, r=${this.py(body.radius)})`;
+        }
+        if (body.type === 'box') {
+            const a = frame(body.min);
+            const b = frame(body.max);
+            const lo = a.map((v, k) => this.py(Math.min(v, b[k])));
+            const hi = a.map((v, k) => this.py(Math.max(v, b[k])));
+            return `openmc.model.RectangularParallelepiped(${lo[0]}, ${hi[0]}, ${lo[1]}, ${hi[1]}, ${lo[2]}, ${hi[2]})`;
+        }
+        const base = frame(body.base);
+        const axis = frame(body.axis);
+        const k = axis.findIndex(v => v !== 0);
+        const height = axis[k];
+        if (height < 0) base[k] += height; // keep a positive height
+        return `openmc.model.RightCircularCylinder((${base.map(v => this.py(v)).join(', ')}), ` +
+            `${this.py(Math.abs(height))}, ${this.py(body.radius)}, axis='${'xyz'[k]}')`;
+    },
+
+    /**
+     * Export the scenario as an OpenMC Python script
+     *
+     * @param {Object} scenario - See SolverInterfaces.exportMCNPInput
+     * @returns {string} Python script (OpenMC >= 0.13)
+     * @throws {Error} On invalid geometry, unknown reactions / elements / sources
+     *
+     * Tallies (per source particle, normalised in the script's report):
+     *   'target flux'  CellFilter(target) × EnergyFilter(NuclearData groups), score flux
+     *                  -> φ_g = mean S / V (n/cm2/s)
+     *   reaction rate  CellFilter(target), nuclide = target isotope, score = pathway reaction
+     *                  -> R = mean S (reactions/s in the target)
+     */
+    exportPython: function (scenario) {
+        const { route, target, density_g_cm3, geometry, sourceType, sourceParams,
+            histories = SolverInterfaces.DEFAULT_HISTORIES } = scenario;
+        if (!(density_g_cm3 > 0)) throw new Error('Target density must be positive');
+        const score = this.reactionScore(route.target.reaction);
+        const bodies = SolverInterfaces.targetBodies(geometry);
+        const regions = sourceParams.moderator && Sources.acceptsModerator(sourceType)
+            ? Moderator.regions(sourceParams.moderator)
+            : [];
+
+        let source = SolverInterfaces.scenarioSource(scenario);
+        if (source.kind === 'surface') {
+            const radius = this.SURFACE_SOURCE_FACTOR * bodies.boundingRadius_cm;
+            source = { ...source, radius, strength_n_s: source.flux * 4 * Math.PI * radius * radius };
+        }
+        const R_world = SolverInterfaces.worldRadius(scenario, source, regions);
+        const frame = source.kind === 'column' ? (p) => [p[1], p[2], p[0]] : (p) => [...p];
+        const nuclide = this.nuclideName(target.element, target.massNumber);
+        const py = (v) => this.py(v);
+
+        const out = [];
+        out.push('"""');
+        out.push(SolverInterfaces.ascii(`${route.name} ${route.target.isotope}${route.target.reaction} - ${sourceType} source`));
+        out.push('Generated by ASPL Digital Twin v3 (OpenMCInterface.exportPython)');
+        out.push('');
+        out.push(`Target: ${target.formula}, ${py(density_g_cm3)} g/cm3, ${target.element}-${target.massNumber} ` +
+            `${py(target.targetFraction * 100)} at.%, ${geometry.shape} at ${py(geometry.distance_cm)} cm ` +
+            `(offset ${py(geometry.offsetX_cm || 0)} cm)`);
+        if (source.kind === 'column') out.push('Frame: GDT column along z (OpenMC x, y, z = scenario y, z, x).');
+        if (source.kind === 'surface') {
+            out.push(`Flux-defined source: isotropic emission from a ${py(source.radius)} cm sphere around the target;`);
+            out.push(`S = 4 pi R^2 phi reproduces phi = ${source.flux.toExponential(4)} n/cm2/s at the target.`);
+        }
+        out.push('');
+        out.push('Usage: python this_file.py        run and report absolute flux / reaction rate');
+        out.push('       python this_file.py --xml  write materials/geometry/settings/tallies.xml');
+        out.push('"""');
+        out.push('import math');
+        out.push('import sys');
+        out.push('');
+        out.push('import openmc');
+        out.push('');
+        out.push(`SOURCE_STRENGTH = ${py(source.strength_n_s)}  # n/s`);
+        out.push(`TARGET_VOLUME = ${py(bodies.volume_cm3)}  # cm3`);
+        out.push('');
+
+        // Materials
+        out.push('# --- Materials ---');
+        out.push(this.pyMaterial('target', `${target.formula} target`, density_g_cm3, SolverInterfaces.targetNuclides(target)));
+        regions.forEach((reg, k) => {
+            out.push(this.pyMaterial(`layer_${k}`, reg.material.name, reg.material.density,
+                SolverInterfaces.moderatorNuclides(reg.material), reg.material.thermalScattering));
+        });
+        out.push(`materials = openmc.Materials([target${regions.map((_, k) => `, layer_${k}`).join('')}])`);
+        out.push('');
+
+        // Geometry (moderator spheres around the source at the origin)
+        out.push('# --- Geometry ---');
+        out.push(`target_body = ${this.pyBody(bodies.outer, frame)}`);
+        if (bodies.inner) {
+            out.push(`target_bore = ${this.pyBody(bodies.inner, frame)}`);
+            out.push('target_region = -target_body & +target_bore');
+        } else {
+            out.push('target_region = -target_body');
+        }
+        regions.forEach((reg, k) => out.push(`layer_surface_${k} = openmc.Sphere(r=${py(reg.outer_cm)})`));
+        out.push(`world = openmc.Sphere(r=${py(R_world)}, boundary_type='vacuum')`);
+        out.push("target_cell = openmc.Cell(name='target', fill=target, region=target_region)");
+        const cells = ['target_cell'];
+        regions.forEach((reg, k) => {
+            const inside = k > 0 ? `-layer_surface_${k} & +layer_surface_${k - 1}` : '-layer_surface_0';
+            out.push(`layer_cell_${k} = openmc.Cell(name='${k > 0 ? 'reflector' : 'moderator'}', fill=layer_${k}, ` +
+                `region=${inside} & ~target_region)`);
+            cells.push(`layer_cell_${k}`);
+        });
+        const outside = regions.length > 0 ? ` & +layer_surface_${regions.length - 1}` : '';
+        out.push(`void_cell = openmc.Cell(name='void', region=-world${outside} & ~target_region)`);
+        cells.push('void_cell');
+        out.push(`geometry = openmc.Geometry([${cells.join(', ')}])`);
+        out.push('');
+
+        // Source
+        out.push('# --- Source ---');
+        let space;
+        if (source.kind === 'point') {
+            space = `openmc.stats.Point((${frame(source.position).map(py).join(', ')}))`;
+        } else if (source.kind === 'column') {
+            out.push(`axial_edges = ${this.pyList(source.sliceEdges)}`);
+            out.push(`axial_weights = ${this.pyList([...source.weights, 0])}`);
+            space = 'openmc.stats.CylindricalIndependent(\n' +
+                `    r=openmc.stats.PowerLaw(0.0, ${py(source.radius)}, 1),\n` +
+                '    phi=openmc.stats.Uniform(0.0, 2 * math.pi),\n' +
+                "    z=openmc.stats.Tabular(axial_edges, axial_weights, interpolation='histogram'),\n" +
+                `    origin=(${frame(source.center).map(py).join(', ')}))`;
+        } else {
+            space = 'openmc.stats.SphericalIndependent(\n' +
+                `    r=openmc.stats.Discrete([${py(source.radius)}], [1.0]),\n` +
+                '    cos_theta=openmc.stats.Uniform(-1.0, 1.0),\n' +
+                '    phi=openmc.stats.Uniform(0.0, 2 * math.pi),\n' +
+                `    origin=(${frame(source.center).map(py).join(', ')}))`;
+        }
+        let energy;
+        if (source.energy.line_MeV !== undefined) {
+            energy = `openmc.stats.Discrete([${py(source.energy.line_MeV * 1e6)}], [1.0])`;
+        } else {
+            const { edges_MeV, weights } = source.energy.histogram;
+            out.push(`energy_edges = ${this.pyList(edges_MeV.map(E => E * 1e6))}  # eV`);
+            out.push(`energy_weights = ${this.pyList([...weights, 0])}`);
+            energy = "openmc.stats.Tabular(energy_edges, energy_weights, interpolation='histogram')";
+        }
+        out.push("Source = getattr(openmc, 'IndependentSource', None) or openmc.Source");
+        out.push(`source = Source(\n    space=${space.replace(/\n/g, '\n    ')},\n    angle=openmc.stats.Isotropic(),\n    energy=${energy})`);
+        out.push('');
+
+        // Settings
+        out.push('# --- Settings ---');
+        out.push('settings = openmc.Settings()');
+        out.push("settings.run_mode = 'fixed source'");
+        out.push(`settings.batches = ${this.BATCHES}`);
+        out.push(`settings.particles = ${Math.ceil(histories / this.BATCHES)}`);
+        out.push('settings.source = source');
+        out.push('');
+
+        // Tallies
+        const groupEdges_eV = [NuclearData.energyGroups[0].lower_eV, ...NuclearData.energyGroups.map(g => g.upper_eV)];
+        const rateName = `${nuclide} ${score}`;
+        out.push('# --- Tallies ---');
+        out.push("flux_tally = openmc.Tally(name='target flux')");
+        out.push(`flux_tally.filters = [openmc.CellFilter(target_cell), openmc.EnergyFilter(${this.pyList(groupEdges_eV)})]`);
+        out.push("flux_tally.scores = ['flux']");
+        out.push(`rate_tally = openmc.Tally(name='${rateName}')`);
+        out.push('rate_tally.filters = [openmc.CellFilter(target_cell)]');
+        out.push(`rate_tally.nuclides = ['${nuclide}']`);
+        out.push(`rate_tally.scores = ['${score}']`);
+        out.push('tallies = openmc.Tallies([flux_tally, rate_tally])');
+        out.push('');
+        out.push('model = openmc.Model(geometry=geometry, materials=materials, settings=settings, tallies=tallies)');
+        out.push('');
+
+        // Run / report
+        const groups = NuclearData.energyGroups.map(g => `'${g.id}'`).join(', ');
+        out.push("if __name__ == '__main__':");
+        out.push("    if '--xml' in sys.argv:");
+        out.push('        model.export_to_xml()');
+        out.push('        sys.exit(0)');
+        out.push('    with openmc.StatePoint(model.run()) as sp:');
+        out.push("        flux = sp.get_tally(name='target flux')");
+        out.push(`        for group, mean, std in zip([${groups}], flux.mean.flatten(), flux.std_dev.flatten()):`);
+        out.push("            print(f'{group:>10s} flux: {mean * SOURCE_STRENGTH / TARGET_VOLUME:.4e} n/cm2/s '");
+        out.push("                  f'+/- {100 * std / mean if mean > 0 else 0:.1f} %')");
+        out.push(`        rate = sp.get_tally(name='${rateName}')`);
+        out.push('        mean, std = rate.mean.flatten()[0], rate.std_dev.flatten()[0]');
+        out.push(`        print(f'${rateName}: {mean * SOURCE_STRENGTH:.4e} reactions/s in the target '`);
+        out.push("              f'+/- {100 * std / mean if mean > 0 else 0:.1f} %')");
+        return out.join('\n') + '\n';
+    }
+};
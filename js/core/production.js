@@ -0,0 +1,455 @@
+/**
+ * production.js
+ *
+ * Production Chain Builder.
+ * Translates a PathwaysRegistry entry into a nuclide network for
+ * Model.activationDecayChain (target -> [intermediates ->] product -> ...).
+ *
+ * STRICT SEPARATION: No DOM access. All cross-sections in cm^2, rates in s^-1.
+ */
+
+import { Model } from './model.js';
+import { NuclearData } from '../data/nuclearData.js';
+
+const AVOGADRO = 6.02214076e23; // mol^-1
+
+export const Production = {
+
+    /**
+     * Group-wise cross-sections of a pathway or impurity channel
+     *
+     * @param {Object} xs - crossSection object of a PathwaysRegistry entry or impurity channel
+     * @param {number} threshold_MeV - Reaction threshold (MeV), 0 for (n,γ)
+     * @returns {Object} σ_g (barns) keyed by energy group id
+     *
+     * crossSection.groups (explicit N-group set) takes precedence; otherwise the
+     * scalar fields map onto NuclearData.energyGroups:
+     *   thermal -> thermal, resonance (I_0) -> epithermal, fast -> fast, fast_14MeV -> dt14
+     * Spectra carry group-integrated fluxes, so I_0 (an integral over dE/E) becomes the
+     * group average σ_epi = I_0 / Δu_epi, Δu_epi = ln(1e5 / 0.625) ≈ 12.0. Folded with the
+     * group flux this gives the Høgdahl term I_0 * φ_epi with φ_epi per unit lethargy.
+     * Threshold reactions: groups whose upper edge lies below the threshold are zeroed
+     * (Model.thresholdActivation step function). A group straddling the threshold keeps
+     * its σ_g, which is already averaged over the group spectrum (e.g. fission-averaged).
+     */
+    groupCrossSections: function (xs, threshold_MeV = 0) {
+        const sigma = xs.groups ? { ...xs.groups } : {
+            thermal: xs.thermal || 0,
+            epithermal: (xs.resonance || 0) / NuclearData.groupLethargyWidth('epithermal'),
+            fast: xs.fast || 0,
+            dt14: xs.fast_14MeV || 0
+        };
+        if (threshold_MeV > 0) {
+            NuclearData.energyGroups.forEach(g => {
+                if (sigma[g.id] !== undefined) {
+                    sigma[g.id] = Model.thresholdActivation(g.upper_eV * 1e-6, threshold_MeV, sigma[g.id]);
+                }
+            });
+        }
+        return sigma;
+    },
+
+    /**
+     * Flux available above the reaction threshold of a pathway
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} spectrum - Group fluxes φ_g keyed by group id (cm^-2 s^-1)
+     * @returns {Object} { threshold_MeV, phiAbove, fractionAbove }
+     *   threshold_MeV: 0 for routes without a threshold (then everything counts as above)
+     *   phiAbove: flux in groups reaching the threshold (cm^-2 s^-1)
+     */
+    thresholdCheck: function (route, spectrum) {
+        const threshold_MeV = route.target.threshold_MeV || 0;
+        const phi = Object.keys(spectrum).reduce((sum, g) => sum + spectrum[g], 0);
+        const phiAbove = threshold_MeV > 0
+            ? NuclearData.energyGroups
+                .filter(g => g.upper_eV * 1e-6 >= threshold_MeV)
+                .reduce((sum, g) => sum + (spectrum[g.id] || 0), 0)
+            : phi;
+        return { threshold_MeV, phiAbove, fractionAbove: phi > 0 ? phiAbove / phi : 0 };
+    },
+
+    /**
+     * Spectrum-averaged production cross-section (flux folded with σ_g)
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} spectrum - Group fluxes φ_g keyed by group id (cm^-2 s^-1)
+     * @returns {Object} { sigma_cm2, phi, groupShares, epithermalShare }
+     *   sigma_cm2: effective σ referred to the total flux φ = Σ φ_g (cm^2)
+     *   groupShares: fraction of reactions per group (0-1)
+     *
+     * Formula: R / N = Σ_g σ_g * φ_g         (epithermal group: I_0 / Δu * φ_g = Høgdahl I_0 * φ_epi)
+     *          σ_eff = Σ_g σ_g * φ_g / Σ_g φ_g
+     */
+    effectiveCrossSection: function (route, spectrum) {
+        const sigmaGroups = this.groupCrossSections(route.crossSection, route.target.threshold_MeV);
+        const groups = Object.keys(spectrum);
+        const phi_g = groups.map(g => spectrum[g]);
+        const sigma_g = groups.map(g => (sigmaGroups[g] || 0) * 1e-24); // barns to cm2
+        const phi = phi_g.reduce((sum, v) => sum + v, 0);
+
+        const groupShares = {};
+        groups.forEach(g => { groupShares[g] = 0; });
+        if (phi <= 0) {
+            return { sigma_cm2: 0, phi: 0, groupShares, epithermalShare: 0 };
+        }
+
+        const R_total = Model.reactionRateMultiGroup(1, sigma_g, phi_g, 1.0);
+        if (R_total > 0) {
+            groups.forEach((g, i) => {
+                groupShares[g] = Model.reactionRate(1, sigma_g[i], phi_g[i], 1.0) / R_total;
+            });
+        }
+
+        return {
+            sigma_cm2: R_total / phi,
+            phi,
+            groupShares,
+            epithermalShare: groupShares.epithermal || 0
+        };
+    },
+
+    /**
+     * Group-wise self-shielding of the target isotope
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} spectrum - Group fluxes φ_g keyed by group id (cm^-2 s^-1)
+     * @param {number} N_density - Target isotope atom density (atoms/cm^3)
+     * @param {number} chord_cm - Mean chord length of the target (cm, Model.meanChordLength)
+     * @returns {Object} { f_shield, groupFactors }
+     *
+     * Formula: f_g = Model.selfShieldingFactor(N * σ_g, ℓ)   (σ_g from groupCrossSections)
+     *          f_shield = Σ_g f_g σ_g φ_g / Σ_g σ_g φ_g   (reaction-rate weighted)
+     * Only absorption by the target isotope itself is counted.
+     */
+    selfShielding: function (route, spectrum, N_density, chord_cm) {
+        const sigmaGroups = this.groupCrossSections(route.crossSection, route.target.threshold_MeV);
+        const groupFactors = {};
+        let R_bare = 0;
+        let R_shielded = 0;
+
+        Object.keys(spectrum).forEach(g => {
+            const sigma_cm2 = (sigmaGroups[g] || 0) * 1e-24;
+            const Sigma = Model.macroscopicCrossSection(N_density, sigma_cm2);
+            const f_g = Model.selfShieldingFactor(Sigma, chord_cm);
+            const R_g = Model.reactionRate(1, sigma_cm2, spectrum[g], 1.0);
+            groupFactors[g] = f_g;
+            R_bare += R_g;
+            R_shielded += R_g * f_g;
+        });
+
+        return { f_shield: R_bare > 0 ? R_shielded / R_bare : 1.0, groupFactors };
+    },
+
+    /**
+     * Quantified impurity channels of a pathway with spectrum-averaged σ
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} spectrum - Group fluxes φ_g keyed by group id (cm^-2 s^-1)
+     * @returns {Array<Object>} route.impurities entries that have a parent, plus sigma_cm2
+     *   (reaction channels: σ referred to the total flux, like effectiveCrossSection;
+     *   no self-shielding is applied to impurity channels)
+     */
+    impurityChannels: function (route, spectrum) {
+        return (route.impurities || [])
+            .filter(imp => imp.parent)
+            .map(imp => ({
+                ...imp,
+                sigma_cm2: imp.via === 'reaction'
+                    ? this.effectiveCrossSection({
+                        crossSection: imp.crossSection,
+                        target: { threshold_MeV: imp.threshold_MeV }
+                    }, spectrum).sigma_cm2
+                    : 0
+            }));
+    },
+
+    /**
+     * Initial atoms of channel parents that are other isotopes of the target element
+     *
+     * @param {Array<Object>} channels - From impurityChannels
+     * @param {Object} target - TargetMaterials.buildTarget result
+     * @param {number} N_target - Target isotope atoms
+     * @returns {Object} Atoms keyed by isotope name, e.g. { 'Lu-175': 1.2e19 }
+     *
+     * Formula: N_i = (N_target / x_target) * x_i
+     */
+    parentAtoms: function (channels, target, N_target) {
+        const atoms = {};
+        if (!target || !(target.targetFraction > 0)) return atoms;
+
+        const N_element = N_target / target.targetFraction;
+        channels.forEach(ch => {
+            const match = ch.parent.match(/^([A-Z][a-z]?)-(\d+)$/);
+            if (match && match[1] === target.element && Number(match[2]) !== target.massNumber) {
+                atoms[ch.parent] = N_element * (target.isotopeVector[match[2]] || 0);
+            }
+        });
+        return atoms;
+    },
+
+    /**
+     * Build the nuclide network for a pathway
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {number} sigma_cm2 - Effective production cross-section σ (cm^2, shielding applied)
+     * @param {Object} options - { productBurnup: boolean (default true), channels: impurityChannels result }
+     * @returns {Object} { nuclides, index } for Model.activationDecayChain
+     *   index.target / index.product give vector positions, index.nuclides maps
+     *   intermediate, impurity and parent isotope names to positions
+     *
+     * Indirect routes: route.intermediates lists the short-lived nuclides between
+     * capture and product, e.g. Xe-124 (n,γ) Xe-125 -> EC -> I-125. The production
+     * reaction feeds the first intermediate; each one decays (branching, default 1)
+     * into the next and the last into the product.
+     * Target depletion: when route.target.burnup_parent is set, the target is removed at
+     * k = σ * φ (the production channel plus any impurity reaction channels).
+     * Product burn-up: when route.crossSection.burnup (cm^2) is set, the product is
+     * removed at k = σ_burn * φ in addition to decay; impurity reactions on the
+     * product are then taken as part of σ_burn, not added to it.
+     * Other channel parents (stable isotopes, intermediates) are depleted by their channels.
+     */
+    buildChain: function (route, sigma_cm2, options = {}) {
+        const index = { target: 0, product: 1 };
+        const burnupParent = route.target.burnup_parent === true;
+        const sigma_burn_product = options.productBurnup === false ? 0 : (route.crossSection.burnup || 0);
+
+        const channels = options.channels || [];
+
+        const nuclides = [];
+        nuclides[index.target] = {
+            name: route.target.isotope,
+            lambda: 0,
+            sigma_abs_cm2: burnupParent ? sigma_cm2 : 0,
+            captures: [],
+            decays: []
+        };
+        nuclides[index.product] = {
+            name: route.product.isotope,
+            lambda: Model.decayConstant(route.product.halfLife),
+            sigma_abs_cm2: sigma_burn_product,
+            captures: [],
+            decays: []
+        };
+
+        index.nuclides = { [route.target.isotope]: index.target, [route.product.isotope]: index.product };
+        const addNuclide = (name, halfLife) => {
+            index.nuclides[name] = nuclides.length;
+            nuclides.push({
+                name,
+                lambda: halfLife ? Model.decayConstant(halfLife) : 0,
+                sigma_abs_cm2: 0,
+                captures: [],
+                decays: []
+            });
+        };
+
+        // Production path: target -(σ)-> intermediate_1 -> ... -> product
+        const steps = route.intermediates || [];
+        steps.forEach(step => addNuclide(step.isotope, step.halfLife));
+        const path = [index.target, ...steps.map(step => index.nuclides[step.isotope]), index.product];
+        nuclides[index.target].captures.push({ to: path[1], sigma_cm2 });
+        steps.forEach((step, i) => {
+            nuclides[path[i + 1]].decays.push({ to: path[i + 2], branching: step.branching === undefined ? 1 : step.branching });
+        });
+
+        channels.forEach(ch => addNuclide(ch.isotope, ch.halfLife));
+
+        channels.forEach(ch => {
+            const to = index.nuclides[ch.isotope];
+            const parentName = ch.parent === 'target' ? route.target.isotope
+                : ch.parent === 'product' ? route.product.isotope
+                    : ch.parent;
+            if (index.nuclides[parentName] === undefined) addNuclide(parentName, null);
+            const from = index.nuclides[parentName];
+            const parent = nuclides[from];
+
+            if (ch.via === 'decay') {
+                parent.decays.push({ to, branching: ch.branching === undefined ? 1 : ch.branching });
+                return;
+            }
+            parent.captures.push({ to, sigma_cm2: ch.sigma_cm2 });
+            // Skip the removal where it is already set: an undepleted target is never removed,
+            // and σ_burn of the product includes its impurity reactions
+            const removalCountedElsewhere = (from === index.target && !burnupParent) ||
+                (from === index.product && route.crossSection.burnup);
+            if (!removalCountedElsewhere) parent.sigma_abs_cm2 += ch.sigma_cm2;
+        });
+
+        return { nuclides, index };
+    },
+
+    /**
+     * Run irradiation + cooling for a pathway
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} params
+     *   {
+     *     N_target, sigma_cm2, phi, t_irr, t_cool,  // atoms, cm^2, cm^-2 s^-1, s, s
+     *     spectrum: Object,  // Group fluxes; enables the impurity channels (optional)
+     *     target: Object,    // TargetMaterials.buildTarget result, for parent isotopes (optional)
+     *     t_shelf: number,   // Shelf life after delivery (s), default 0
+     *     schedule: Array    // Sources.irradiationSchedule segments (optional, replaces t_irr)
+     *   }
+     * @returns {Object} Product activity (Bq) at EOB / after cooling, target burn-up fraction,
+     *   EOB activity lost to product burn-up (vs. the same run without product burn-up),
+     *   and impurity activities with radionuclidic purity (see impurityReport)
+     */
+    run: function (route, params) {
+        const { N_target, t_shelf = 0 } = params;
+        const channels = params.spectrum ? this.impurityChannels(route, params.spectrum) : [];
+        const solveParams = { ...params, channels, parentAtoms: this.parentAtoms(channels, params.target, N_target) };
+        const { result, index, nuclides } = this.solve(route, solveParams);
+
+        let productBurnupLoss_Bq = 0;
+        if (route.crossSection.burnup) {
+            const reference = this.solve(route, solveParams, { productBurnup: false });
+            productBurnupLoss_Bq = reference.result.activity_EOB[index.product] - result.activity_EOB[index.product];
+        }
+        const activity_EOB = result.activity_EOB[index.product];
+
+        const N_expiry = t_shelf > 0
+            ? Model.batemanMatrixExponential(result.N_cooled, Model.transmutationMatrix(nuclides, 0), t_shelf)
+            : [...result.N_cooled];
+        const activity_expiry = N_expiry.map((N, i) => Model.activity(nuclides[i].lambda, N));
+
+        return {
+            chain: result,
+            atoms: {
+                target_EOB: result.N_EOB[index.target],
+                product_EOB: result.N_EOB[index.product],
+                product_cooled: result.N_cooled[index.product]
+            },
+            activity_EOB,
+            activity_cooled: result.activity_cooled[index.product],
+            targetBurnupFraction: N_target > 0 ? 1 - result.N_EOB[index.target] / N_target : 0,
+            productBurnupLoss_Bq,
+            productBurnupLossFraction: productBurnupLoss_Bq > 0 ? productBurnupLoss_Bq / (activity_EOB + productBurnupLoss_Bq) : 0,
+            activity_expiry: activity_expiry[index.product],
+            ...this.impurityReport(route, channels, index, {
+                EOB: result.activity_EOB,
+                delivery: result.activity_cooled,
+                expiry: activity_expiry
+            })
+        };
+    },
+
+    /**
+     * Impurity activities and radionuclidic purity
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Array<Object>} channels - From impurityChannels
+     * @param {Object} index - From buildChain
+     * @param {Object} activities - Activity vectors (Bq) keyed by time point (EOB, delivery, expiry)
+     * @returns {Object} { impurities, purity }
+     *   impurities: [{ isotope, activity: { EOB, delivery, expiry } (Bq), ratio: { ... } (A_imp / A_product) }]
+     *     plus unquantified entries as { isotope, note }
+     *   purity: { EOB, delivery, expiry } (0-1)
+     *
+     * Formula: purity = A_product / (A_product + Σ A_imp)
+     * Stable intermediates (halfLife null) carry no activity and are not reported.
+     */
+    impurityReport: function (route, channels, index, activities) {
+        const times = Object.keys(activities);
+        const purity = {};
+        const impurities = channels
+            .filter(ch => ch.halfLife)
+            .map(ch => {
+                const activity = {};
+                const ratio = {};
+                times.forEach(t => {
+                    activity[t] = activities[t][index.nuclides[ch.isotope]];
+                    const A_product = activities[t][index.product];
+                    ratio[t] = A_product > 0 ? activity[t] / A_product : 0;
+                });
+                return { isotope: ch.isotope, activity, ratio };
+            });
+
+        times.forEach(t => {
+            const A_product = activities[t][index.product];
+            const A_total = impurities.reduce((sum, imp) => sum + imp.activity[t], A_product);
+            purity[t] = A_total > 0 ? A_product / A_total : 1;
+        });
+
+        (route.impurities || [])
+            .filter(imp => !imp.parent)
+            .forEach(imp => impurities.push({ isotope: imp.isotope, note: imp.note }));
+
+        return { impurities, purity };
+    },
+
+    /**
+     * Carrier mass and specific activity of the product
+     *
+     * @param {Object} route - PathwaysRegistry entry
+     * @param {Object} target - TargetMaterials.buildTarget result
+     * @param {Object} params
+     *   {
+     *     N_target: number,           // Initial target isotope atoms
+     *     N_target_remaining: number, // Target isotope atoms left at the time of interest
+     *     N_product: number,          // Product atoms at the time of interest
+     *     activity_Bq: number         // Product activity at the time of interest
+     *   }
+     * @returns {Object} { carrierAdded, carrier_mg, product_mg, specificActivity_GBq_mg, carrierFree_GBq_mg }
+     *
+     * Carrier: when product and target are the same element (e.g. Lu-176 -> Lu-177) the
+     * product cannot be separated chemically, so every stable/long-lived atom of that
+     * element stays with it: the other isotopes of the target element plus the
+     * unreacted target isotope. Different elements (e.g. Zn-67(n,p)Cu-67) are treated
+     * as chemically separated, i.e. no carrier.
+     *
+     * Formula: SA = A / (m_product + m_carrier),  m = N * M / N_A
+     * Units: [GBq/mg] = [Bq/g] * 1e-12
+     */
+    specificActivity: function (route, target, params) {
+        const { N_target, N_target_remaining, N_product, activity_Bq } = params;
+        const productElement = Model.extractElementSymbol(route.product.isotope);
+        const productA = parseInt(route.product.isotope.match(/\d+/)[0], 10);
+        const productMass_g_mol = NuclearData.getIsotopicMass(productElement, productA) || productA;
+
+        const product_g = N_product * productMass_g_mol / AVOGADRO;
+        let carrier_g = 0;
+        const carrierAdded = productElement === target.element;
+
+        if (carrierAdded && target.targetFraction > 0) {
+            // Element atoms per target-isotope atom, split into the other isotopes and the target isotope
+            const N_element = N_target / target.targetFraction;
+            Object.keys(target.isotopeVector).forEach(A => {
+                const M = NuclearData.getIsotopicMass(target.element, Number(A)) || Number(A);
+                const N_i = Number(A) === target.massNumber
+                    ? N_target_remaining
+                    : N_element * target.isotopeVector[A];
+                carrier_g += N_i * M / AVOGADRO;
+            });
+        }
+
+        const toGBq_mg = 1e-12;
+        const carrierFree = product_g > 0 ? Model.specificActivity(activity_Bq, product_g) * toGBq_mg : 0;
+        const total_g = product_g + carrier_g;
+
+        return {
+            carrierAdded,
+            carrier_mg: carrier_g * 1e3,
+            product_mg: product_g * 1e3,
+            specificActivity_GBq_mg: total_g > 0 ? Model.specificActivity(activity_Bq, total_g) * toGBq_mg : 0,
+            carrierFree_GBq_mg: carrierFree
+        };
+    },
+
+    /**
+     * Build and solve the chain once (see run)
+     * params.channels / params.parentAtoms: impurity channels and initial parent atoms by name
+     */
+    solve: function (route, params, options = {}) {
+        const { N_target, sigma_cm2, phi, t_irr, t_cool = 0, schedule, channels = [], parentAtoms = {} } = params;
+        const { nuclides, index } = this.buildChain(route, sigma_cm2, { ...options, channels });
+
+        const N0 = new Array(nuclides.length).fill(0);
+        N0[index.target] = N_target;
+        Object.keys(parentAtoms).forEach(name => {
+            if (index.nuclides[name] !== undefined) N0[index.nuclides[name]] = parentAtoms[name];
+        });
+
+        return { result: Model.activationDecayChain({ nuclides, N0, phi, t_irr, t_cool, schedule }), index, nuclides };
+    }
+};
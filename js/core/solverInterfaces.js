@@ -0,0 +1,456 @@
+/**
+ * solverInterfaces.js
+ *
+ * External Transport Solver Export (v3).
+ * Turns the current scenario (pathway, target material and geometry, source,
+ * moderator assembly) into input for external transport codes. No solver is run here.
+ *   MCNP: exportMCNPInput (cells, macrobody surfaces, materials, SDEF source, F4 / FM tallies)
+ *   OpenMC: openmcInterface.js (sibling module built on the scenario helpers below)
+ *
+ * Frame as in Spatial / MonteCarlo: source at the origin, beam axis z, target centre at
+ * (offsetX, 0, distance). The GDT column lies along x, target at axial_cm from its centre.
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm, energies in MeV.
+ */
+
+import { Sources } from './sources.js';
+import { Spatial } from './spatial.js';
+import { Moderator } from './moderator.js';
+import { TargetMaterials } from '../data/materials.js';
+import { NuclearData } from '../data/nuclearData.js';
+
+export const SolverInterfaces = {
+
+    // ENDF/B-VII.1 room-temperature libraries (continuous energy, S(α,β))
+    MCNP_LIBRARY: '80c',
+    MCNP_SAB_LIBRARY: '20t',
+    MCNP_LINE_WIDTH: 80,
+    DEFAULT_HISTORIES: 1e6,
+
+    // ENDF reaction numbers of the pathway reactions
+    REACTION_MT: { '(n,γ)': 102, '(n,p)': 103, '(n,2n)': 16, '(n,α)': 107 },
+
+    // Light elements taken as their dominant isotope (natural abundance > 99.6 %)
+    DOMINANT_ISOTOPES: { 'H': 1, 'N': 14, 'O': 16 },
+
+    DT_ENERGY_MEV: 14.1,
+
+    // Source energy histogram: sub-bins of each NuclearData group (eV) and the shape within the group
+    SPECTRUM_BINS: {
+        thermal: { edges_eV: [0, 0.01, 0.025, 0.05, 0.1, 0.2, 0.625], shape: 'maxwellian' },
+        epithermal: { edges_eV: [0.625, 10, 100, 1e3, 1e4, 1e5], shape: 'lethargy' },
+        fast: { edges_eV: [1e5, 5e5, 1e6, 2e6, 5e6, 1e7], shape: 'lethargy' },
+        dt14: { edges_eV: [1e7, 2e7], shape: 'flat' }
+    },
+    THERMAL_KT_EV: 0.0253,
+
+    // Clearance between the target and the surface source sphere of flux-defined sources (cm)
+    SURFACE_SOURCE_GAP_CM: 1.0,
+
+    /**
+     * ENDF MT number of a pathway reaction
+     * @param {string} reaction - e.g. '(n,γ)', '(n,p)'
+     * @returns {number}
+     * @throws {Error} For reactions without a mapping
+     */
+    reactionMT: function (reaction) {
+        const mt = this.REACTION_MT[reaction];
+        if (!mt) throw new Error(`No transport reaction number for ${reaction}`);
+        return mt;
+    },
+
+    /**
+     * ZA identifier (Z * 1000 + A, A = 0 for natural elements)
+     * @throws {Error} For elements without an atomic number
+     */
+    za: function (element, massNumber) {
+        const Z = NuclearData.getAtomicNumber(element);
+        if (!Z) throw new Error(`No atomic number for ${element}`);
+        return Z * 1000 + (massNumber || 0);
+    },
+
+    /**
+     * Nuclide composition of a target material
+     *
+     * @param {Object} target - TargetMaterials.buildTarget result
+     * @returns {Array<Object>} [{ element, massNumber, atoms }] atoms per formula unit
+     *   (massNumber null = natural element)
+     *
+     * The target element follows the target isotope vector (enrichment); other elements
+     * are expanded over their natural abundances, or taken as their dominant isotope.
+     */
+    targetNuclides: function (target) {
+        const counts = TargetMaterials.parseFormula(target.formula);
+        const nuclides = [];
+        Object.keys(counts).forEach(element => {
+            const n = counts[element];
+            const vector = element === target.element
+                ? target.isotopeVector
+                : NuclearData.isotopicAbundances[element];
+            if (vector) {
+                Object.keys(vector).forEach(A => {
+                    if (vector[A] > 0) nuclides.push({ element, massNumber: Number(A), atoms: n * vector[A] });
+                });
+            } else {
+                nuclides.push({ element, massNumber: this.DOMINANT_ISOTOPES[element] || null, atoms: n });
+            }
+        });
+        return nuclides;
+    },
+
+    /**
+     * Nuclide composition of a moderator material ('H-1', 'C-nat' composition keys)
+     */
+    moderatorNuclides: function (material) {
+        return Object.keys(material.composition).map(key => {
+            const [element, A] = key.split('-');
+            return { element, massNumber: A === 'nat' ? null : Number(A), atoms: material.composition[key] };
+        });
+    },
+
+    /**
+     * Target isotope atom density (atoms / barn-cm)
+     */
+    targetAtomDensity: function (target, density_g_cm3) {
+        return TargetMaterials.targetAtomDensity(target, density_g_cm3) * 1e-24;
+    },
+
+    /**
+     * Source energy histogram of a group spectrum
+     *
+     * @param {Object} spectrum - Group fluxes or fractions keyed by NuclearData.energyGroups id
+     * @returns {Object} { edges_MeV: [n + 1], weights: [n] } normalised bin probabilities
+     *
+     * Within each group: thermal follows the flux-weighted Maxwellian E exp(-E / kT)
+     * (CDF 1 - (1 + x) exp(-x), x = E / kT), epithermal and fast are flat in lethargy
+     * (1 / E), the 14 MeV group is flat in energy.
+     */
+    sourceHistogram: function (spectrum) {
+        const edges_eV = [0];
+        const weights = [];
+        const maxwellCdf = (E) => { const x = E / this.THERMAL_KT_EV; return 1 - (1 + x) * Math.exp(-x); };
+
+        NuclearData.energyGroups.forEach(group => {
+            const bins = this.SPECTRUM_BINS[group.id];
+            const share = spectrum[group.id] || 0;
+            const edges = bins ? bins.edges_eV : [group.lower_eV, group.upper_eV];
+            const shape = bins ? bins.shape : 'flat';
+            const raw = edges.slice(1).map((hi, k) => {
+                const lo = edges[k];
+                if (shape === 'maxwellian') return maxwellCdf(hi) - maxwellCdf(lo);
+                if (shape === 'lethargy') return Math.log(hi / lo);
+                return hi - lo;
+            });
+            const total = raw.reduce((s, w) => s + w, 0);
+            raw.forEach((w, k) => {
+                edges_eV.push(edges[k + 1]);
+                weights.push(total > 0 ? share * w / total : 0);
+            });
+        });
+
+        const sum = weights.reduce((s, w) => s + w, 0);
+        if (!(sum > 0)) throw new Error('Source spectrum is empty');
+        return { edges_MeV: edges_eV.map(E => E * 1e-6), weights: weights.map(w => w / sum) };
+    },
+
+    /**
+     * Target bodies in the scenario frame
+     *
+     * @param {Object} geometry - Spatial geometry (shape, dimensions, distance_cm, offsetX_cm)
+     * @returns {Object} { outer, inner, center, boundingRadius_cm, volume_cm3 }
+     *   cylinder: { type, base: [x, y, z], axis: [dx, dy, dz] (length vector), radius }
+     *   sphere:   { type, center, radius }
+     *   box:      { type, min, max }
+     *   inner: annulus bore (cylinder) or null
+     * @throws {Error} On invalid geometry (Spatial.halfExtents)
+     */
+    targetBodies: function (geometry) {
+        const [hx, hy, hz] = Spatial.halfExtents(geometry);
+        const { shape, radius, thickness, innerRadius = 0, distance_cm = 0, offsetX_cm = 0 } = geometry;
+        const c = [offsetX_cm, 0, distance_cm];
+        let outer;
+        let inner = null;
+        let volume_cm3;
+
+        if (shape === 'sphere') {
+            outer = { type: 'sphere', center: c, radius };
+            volume_cm3 = 4 / 3 * Math.PI * Math.pow(radius, 3);
+        } else if (shape === 'plate') {
+            outer = { type: 'box', min: [c[0] - hx, -hy, c[2] - hz], max: [c[0] + hx, hy, c[2] + hz] };
+            volume_cm3 = 8 * hx * hy * hz;
+        } else if (shape === 'cylinder') {
+            outer = { type: 'cylinder', base: [c[0], -thickness / 2, c[2]], axis: [0, thickness, 0], radius };
+            volume_cm3 = Math.PI * radius * radius * thickness;
+        } else {
+            outer = { type: 'cylinder', base: [c[0], 0, c[2] - thickness / 2], axis: [0, 0, thickness], radius };
+            volume_cm3 = Math.PI * radius * radius * thickness;
+            if (shape === 'annulus' && innerRadius > 0) {
+                inner = { ...outer, radius: innerRadius };
+                volume_cm3 -= Math.PI * innerRadius * innerRadius * thickness;
+            }
+        }
+        return { outer, inner, center: c, boundingRadius_cm: Math.hypot(hx, hy, hz), volume_cm3 };
+    },
+
+    /**
+     * Transport source of a scenario
+     *
+     * @param {Object} scenario - See exportMCNPInput
+     * @returns {Object}
+     *   { kind: 'point', position, strength_n_s, energy }
+     *   { kind: 'column', center, radius, length, sliceEdges: [n + 1], weights: [n], strength_n_s, energy }
+     *       // GDT plasma column along x, axial emission histogram (Sources.gdtColumn)
+     *   { kind: 'surface', center, radius, strength_n_s, flux, energy }
+     *       // flux-defined sources: inward cosine current on a sphere around the target, which
+     *       // gives a uniform isotropic flux inside; S = φ π R^2 reproduces the position flux φ
+     *   energy: { line_MeV } or { histogram: sourceHistogram() }
+     * @throws {Error} For unknown source types
+     */
+    scenarioSource: function (scenario) {
+        const { sourceType, sourceParams, geometry, axial_cm = 0 } = scenario;
+        const T = Sources.TYPES;
+        const line = { line_MeV: this.DT_ENERGY_MEV };
+
+        if (sourceType === T.DT_GENERATOR) {
+            return { kind: 'point', position: [0, 0, 0], strength_n_s: Sources.sourceStrength(sourceType, sourceParams), energy: line };
+        }
+        if (sourceType === T.ACCELERATOR) {
+            const fractions = Sources.ACCELERATOR_CONVERTERS[sourceParams.converter || 'd_be'].spectrum;
+            return {
+                kind: 'point', position: [0, 0, 0], strength_n_s: Sources.sourceStrength(sourceType, sourceParams),
+                energy: { histogram: this.sourceHistogram(fractions) }
+            };
+        }
+        if (sourceType === T.GDT_TRAP) {
+            const column = Sources.gdtColumn(sourceParams);
+            const n = column.emission.length;
+            return {
+                kind: 'column',
+                center: [-axial_cm, 0, 0],
+                radius: column.radius_cm,
+                length: column.length_cm,
+                sliceEdges: Array.from({ length: n + 1 }, (_, k) => column.length_cm * (k / n - 0.5)),
+                weights: column.emission.map(e => e.weight),
+                strength_n_s: Sources.sourceStrength(sourceType, sourceParams),
+                energy: line
+            };
+        }
+        if (sourceType === T.FIXED_FLUX || sourceType === T.REACTOR) {
+            const spectrum = Sources.calculateSpectrum(sourceType, sourceParams, geometry.distance_cm, axial_cm);
+            const flux = Sources.totalFlux(spectrum);
+            const { center, boundingRadius_cm } = this.targetBodies(geometry);
+            const radius = boundingRadius_cm + this.SURFACE_SOURCE_GAP_CM;
+            return {
+                kind: 'surface', center, radius, flux,
+                strength_n_s: flux * Math.PI * radius * radius,
+                energy: { histogram: this.sourceHistogram(spectrum) }
+            };
+        }
+        throw new Error(`Unknown source type: ${sourceType}`);
+    },
+
+    /**
+     * Radius of the problem boundary sphere around the origin (cm)
+     */
+    worldRadius: function (scenario, source, regions) {
+        const { center, boundingRadius_cm } = this.targetBodies(scenario.geometry);
+        let extent = Math.hypot(...center) + boundingRadius_cm;
+        if (regions.length > 0) extent = Math.max(extent, regions[regions.length - 1].outer_cm);
+        if (source.kind === 'column') extent = Math.max(extent, Math.abs(source.center[0]) + source.length / 2 + source.radius);
+        if (source.kind === 'surface') extent = Math.max(extent, Math.hypot(...source.center) + source.radius);
+        return Math.ceil(1.5 * extent + 10);
+    },
+
+    /**
+     * Printable ASCII for transport input files (γ -> g, α -> a, dashes, µ)
+     */
+    ascii: function (text) {
+        const map = { 'γ': 'g', 'α': 'a', '—': '-', '–': '-', 'µ': 'u', 'μ': 'u', '→': '->' };
+        return String(text).replace(/[^\x20-\x7E]/g, ch => map[ch] || '?');
+    },
+
+    /**
+     * Number for input files (6 significant digits, no trailing zeros, E notation outside 1e-3..1e5)
+     */
+    num: function (x) {
+        const abs = Math.abs(x);
+        if (abs !== 0 && (abs < 1e-3 || abs >= 1e5)) {
+            return x.toExponential(5).replace(/\.?0+e/, 'e').toUpperCase();
+        }
+        return String(Number(x.toPrecision(6)));
+    },
+
+    /**
+     * One MCNP card wrapped at MCNP_LINE_WIDTH (continuation lines indented 5 columns).
+     * The $ comment stays on the card when it fits, otherwise it precedes the card as a c line.
+     */
+    mcnpCard: function (tokens, comment = '') {
+        const width = this.MCNP_LINE_WIDTH;
+        const lines = [];
+        let current = '';
+        tokens.map(String).forEach(token => {
+            if (current && current.length + 1 + token.length > width) {
+                lines.push(current);
+                current = '     ' + token;
+            } else {
+                current = current ? `${current} ${token}` : token;
+            }
+        });
+        lines.push(current);
+        if (!comment) return lines.join('\n');
+        const note = this.ascii(comment);
+        const last = lines.length - 1;
+        if (lines[last].length + 3 + note.length <= width) {
+            lines[last] += ` $ ${note}`;
+            return lines.join('\n');
+        }
+        return `c ${note}\n${lines.join('\n')}`;
+    },
+
+    /**
+     * MCNP macrobody of a body (RCC / SPH / RPP)
+     */
+    mcnpBody: function (id, body, comment) {
+        const n = (v) => this.num(v);
+        if (body.type === 'sphere') return this.mcnpCard([id, 'SPH', ...body.center.map(n), n(body.radius)], comment);
+        if (body.type === 'box') {
+            return this.mcnpCard([id, 'RPP', n(body.min[0]), n(body.max[0]), n(body.min[1]), n(body.max[1]), n(body.min[2]), n(body.max[2])], comment);
+        }
+        return this.mcnpCard([id, 'RCC', ...body.base.map(n), ...body.axis.map(n), n(body.radius)], comment);
+    },
+
+    /**
+     * MCNP material card (atom fractions) plus its MT card when an S(α,β) table applies
+     */
+    mcnpMaterial: function (id, nuclides, comment, thermalScattering = null) {
+        const tokens = [`M${id}`];
+        nuclides.forEach(nuc => tokens.push(`${this.za(nuc.element, nuc.massNumber)}.${this.MCNP_LIBRARY}`, this.num(nuc.atoms)));
+        let card = this.mcnpCard(tokens, comment);
+        if (thermalScattering) card += '\n' + this.mcnpCard([`MT${id}`, `${thermalScattering}.${this.MCNP_SAB_LIBRARY}`]);
+        return card;
+    },
+
+    /**
+     * Export the scenario as an MCNP input deck
+     *
+     * @param {Object} scenario
+     *   {
+     *     route,                       // PathwaysRegistry entry (name, target reaction)
+     *     target, density_g_cm3,       // TargetMaterials.buildTarget result, bulk density
+     *     geometry,                    // Spatial geometry (shape, dimensions, distance_cm, offsetX_cm)
+     *     sourceType, sourceParams,    // Sources type and parameters (params.moderator: assembly)
+     *     axial_cm,                    // GDT target position along the column (cm from its centre)
+     *     histories                    // NPS (default DEFAULT_HISTORIES)
+     *   }
+     * @returns {string} MCNP input deck
+     * @throws {Error} On invalid geometry, unknown reactions / elements / sources
+     *
+     * Cells: 1 target, 2-3 moderator / reflector shells (spheres around the source), void,
+     * graveyard. Tallies, normalised with the source strength S (n/s):
+     *   F4  target cell flux in the NuclearData groups, FM4 S               -> n/cm2/s
+     *   F14 target cell flux, FM14 (S N_t m_t MT) with m_t the target isotope -> reactions/cm3/s
+     */
+    exportMCNPInput: function (scenario) {
+        const { route, target, density_g_cm3, geometry, sourceType, sourceParams, histories = this.DEFAULT_HISTORIES } = scenario;
+        if (!(density_g_cm3 > 0)) throw new Error('Target density must be positive');
+        const mt = this.reactionMT(route.target.reaction);
+        const bodies = this.targetBodies(geometry);
+        const source = this.scenarioSource(scenario);
+        const regions = sourceParams.moderator && Sources.acceptsModerator(sourceType)
+            ? Moderator.regions(sourceParams.moderator)
+            : [];
+        const R_world = this.worldRadius(scenario, source, regions);
+        const n = (v) => this.num(v);
+
+        const SURF = { target: 1, bore: 2, layer: 10, source: 20, world: 99 };
+        const MAT = { target: 1, layer: 10, tally: 90 };
+        const CELL = { target: 1, layer: 10, sourceVoid: 20, void: 98, graveyard: 99 };
+        const targetRegion = bodies.inner ? `-${SURF.target} ${SURF.bore}` : `-${SURF.target}`;
+
+        const out = [];
+        const title = `${route.name} ${route.target.isotope}${route.target.reaction} - ${sourceType} source`;
+        out.push(this.ascii(title).slice(0, this.MCNP_LINE_WIDTH));
+        out.push('c ============================================================================');
+        out.push('c Generated by ASPL Digital Twin v3 (SolverInterfaces.exportMCNPInput)');
+        out.push(`c Target: ${this.ascii(target.formula)}, ${n(density_g_cm3)} g/cm3, ` +
+            `${target.element}-${target.massNumber} ${n(target.targetFraction * 100)} at.%`);
+        out.push(`c Geometry: ${geometry.shape} at ${n(geometry.distance_cm)} cm, offset ${n(geometry.offsetX_cm || 0)} cm (cm units)`);
+        out.push(`c Source strength S = ${source.strength_n_s.toExponential(4)} n/s`);
+        if (source.kind === 'surface') {
+            out.push(`c Flux-defined source: inward cosine current on a ${n(source.radius)} cm sphere around`);
+            out.push(`c the target; S = phi pi R^2 reproduces phi = ${source.flux.toExponential(4)} n/cm2/s`);
+        }
+        out.push('c ============================================================================');
+
+        // --- Cells ---
+        out.push('c --- CELL CARDS ---');
+        out.push(this.mcnpCard([CELL.target, MAT.target, n(-density_g_cm3), targetRegion, 'imp:n=1'], 'target'));
+        regions.forEach((reg, k) => {
+            const inside = k > 0 ? `-${SURF.layer + k} ${SURF.layer + k - 1}` : `-${SURF.layer}`;
+            out.push(this.mcnpCard([CELL.layer + k, MAT.layer + k, n(-reg.material.density), inside, `#${CELL.target}`, 'imp:n=1'],
+                k > 0 ? `reflector ${reg.material.name}` : `moderator ${reg.material.name}`));
+        });
+        const voidBounds = [`-${SURF.world}`];
+        if (regions.length > 0) voidBounds.push(`${SURF.layer + regions.length - 1}`);
+        if (source.kind === 'surface') {
+            out.push(this.mcnpCard([CELL.sourceVoid, 0, `-${SURF.source}`, `#${CELL.target}`, 'imp:n=1'], 'void inside source sphere'));
+            voidBounds.push(`${SURF.source}`);
+        }
+        out.push(this.mcnpCard([CELL.void, 0, ...voidBounds, `#${CELL.target}`, 'imp:n=1'], 'void'));
+        out.push(this.mcnpCard([CELL.graveyard, 0, SURF.world, 'imp:n=0'], 'outside world'));
+        out.push('');
+
+        // --- Surfaces ---
+        out.push('c --- SURFACE CARDS ---');
+        out.push(this.mcnpBody(SURF.target, bodies.outer, `target ${geometry.shape}`));
+        if (bodies.inner) out.push(this.mcnpBody(SURF.bore, bodies.inner, 'annulus bore'));
+        regions.forEach((reg, k) => out.push(this.mcnpCard([SURF.layer + k, 'SO', n(reg.outer_cm)], k > 0 ? 'reflector' : 'moderator')));
+        if (source.kind === 'surface') {
+            out.push(this.mcnpBody(SURF.source, { type: 'sphere', center: source.center, radius: source.radius }, 'source sphere'));
+        }
+        out.push(this.mcnpCard([SURF.world, 'SO', R_world], 'world'));
+        out.push('');
+
+        // --- Data ---
+        out.push('c --- DATA CARDS ---');
+        out.push('MODE N');
+        out.push(this.mcnpMaterial(MAT.target, this.targetNuclides(target), `${target.formula} target`));
+        regions.forEach((reg, k) => {
+            out.push(this.mcnpMaterial(MAT.layer + k, this.moderatorNuclides(reg.material), reg.material.name, reg.material.thermalScattering));
+        });
+        out.push(this.mcnpMaterial(MAT.tally, [{ element: target.element, massNumber: target.massNumber, atoms: 1 }],
+            `${target.element}-${target.massNumber} (reaction-rate tally)`));
+
+        // Source
+        const erg = source.energy.line_MeV !== undefined ? `ERG=${n(source.energy.line_MeV)}` : 'ERG=D1';
+        if (source.kind === 'point') {
+            out.push(this.mcnpCard(['SDEF', `POS=${source.position.map(n).join(' ')}`, erg, 'PAR=N']));
+        } else if (source.kind === 'column') {
+            out.push(this.mcnpCard(['SDEF', `POS=${source.center.map(n).join(' ')}`, 'AXS=1 0 0', 'RAD=D2', 'EXT=D3', erg, 'PAR=N'],
+                'GDT plasma column'));
+            out.push(this.mcnpCard(['SI2', 0, n(source.radius)]));
+            out.push(this.mcnpCard(['SP2', -21, 1], 'uniform over the cross section'));
+            out.push(this.mcnpCard(['SI3', 'H', ...source.sliceEdges.map(n)]));
+            out.push(this.mcnpCard(['SP3', 'D', 0, ...source.weights.map(n)], 'axial emission profile'));
+        } else {
+            out.push(this.mcnpCard(['SDEF', `SUR=${SURF.source}`, 'NRM=-1', erg, 'PAR=N'], 'inward cosine current'));
+        }
+        if (source.energy.histogram) {
+            const { edges_MeV, weights } = source.energy.histogram;
+            out.push(this.mcnpCard(['SI1', 'H', ...edges_MeV.map(n)]));
+            out.push(this.mcnpCard(['SP1', 'D', 0, ...weights.map(n)], 'group spectrum'));
+        }
+
+        // Tallies
+        const S = source.strength_n_s;
+        const N_t = this.targetAtomDensity(target, density_g_cm3);
+        out.push(this.mcnpCard(['F4:N', CELL.target], 'target flux'));
+        out.push(this.mcnpCard(['E4', ...NuclearData.energyGroups.map(g => n(g.upper_eV * 1e-6))]));
+        out.push(this.mcnpCard(['FM4', n(S)], 'n/cm2/s'));
+        out.push(this.mcnpCard(['F14:N', CELL.target], `${target.element}-${target.massNumber}${route.target.reaction} rate`));
+        out.push(this.mcnpCard(['FM14', `(${n(S * N_t)} ${MAT.tally} ${mt})`], `reactions/cm3/s, N = ${N_t.toExponential(4)} /b-cm`));
+        out.push(this.mcnpCard(['NPS', n(histories)]));
+        out.push('PRINT');
+        return out.join('\n') + '\n';
+    }
+};
@@ -2,26 +2,128 @@
  * sources.js
  * 
  * Neutron Source Models (SyRD-03 / ConOps).
- * Converts engineering parameters (MW, geometry) into effective neutron flux.
+ * Converts engineering parameters (MW, geometry) into effective neutron flux
+ * spectra (group fluxes keyed by NuclearData.energyGroups id).
  */
 
+import { Moderator } from './moderator.js';
+import { NuclearData } from '../data/nuclearData.js';
+
 export const Sources = {
 
     TYPES: {
         FIXED_FLUX: 'fixed_flux',
         DT_GENERATOR: 'dt_generator',
-        GDT_TRAP: 'gdt_trap'
+        GDT_TRAP: 'gdt_trap',
+        REACTOR: 'reactor',        // research-reactor irradiation position
+        ACCELERATOR: 'accelerator' // accelerator-driven converter (spallation / D-Be)
+    },
+
+    // Irradiation operating profiles (flux vs. time, see irradiationSchedule)
+    PROFILES: {
+        CONSTANT: 'constant',
+        DUTY_CYCLE: 'duty_cycle', // pulsed operation / weekly shutdowns (optional startup ramp per cycle)
+        RAMP: 'ramp',             // startup ramp, then full power
+        STEP: 'step'              // power change (or outage, factor 0) from stepTime on
+    },
+
+    // Ramps are resolved as staircases of this many constant-flux steps
+    RAMP_STEPS: 10,
+
+    // Longer schedules (very short pulse periods) fall back to the time-averaged flux
+    MAX_SCHEDULE_SEGMENTS: 2000,
+
+    // Default room-return / moderated tail for bare 14 MeV sources,
+    // relative to the uncollided peak flux (planning-grade).
+    DT_SPECTRUM_TAIL: { fast: 0.15, epithermal: 0.04, thermal: 0.01 },
+
+    // D-T neutron energy, 14.1 MeV (J)
+    DT_NEUTRON_ENERGY_J: 14.1 * 1.602176634e-13,
+
+    // GDT plasma column: axial emission profiles and quadrature (see gdtColumn / gdtColumnKernel)
+    GDT_AXIAL_PROFILES: {
+        UNIFORM: 'uniform',
+        COSINE: 'cosine',
+        END_PEAKED: 'end_peaked' // emission peaked at the sloshing-ion turning points near the mirrors
+    },
+    GDT_END_PEAKS: { turningPoint: 0.4, width: 0.05 }, // fractions of the column length
+    GDT_AXIAL_STEPS: 200,
+    GDT_RADIAL_RINGS: 8,
+
+    ELEMENTARY_CHARGE_C: 1.602176634e-19,
+
+    // Accelerator-driven converters (planning-grade yield fits, see acceleratorYield).
+    // spectrum: group fractions of the total uncollided flux at the target.
+    ACCELERATOR_CONVERTERS: {
+        spallation: {
+            label: 'Spallation (p on W/Pb)',
+            defaultEnergy_MeV: 1000,
+            neutronsPerGeV: 30,   // n/p per GeV above the effective threshold (thick Pb/W)
+            threshold_MeV: 120,
+            spectrum: { thermal: 0.01, epithermal: 0.05, fast: 0.84, dt14: 0.10 } // evaporation peak + cascade tail
+        },
+        d_be: {
+            label: 'D-Be Converter',
+            defaultEnergy_MeV: 40,
+            yieldCoefficient: 3.75e-5, // n/d = k E^2 (E in MeV), ~0.06 n/d at 40 MeV (thick Be)
+            spectrum: { thermal: 0.01, epithermal: 0.04, fast: 0.75, dt14: 0.20 } // broad stripping peak ~E_d/2.5
+        }
     },
 
     /**
      * Calculate Effective Flux based on Source Configuration
-     * @param {string} type - Source type (fixed_flux, dt_generator, gdt_trap)
+     * @param {string} type - Source type (Sources.TYPES id)
      * @param {Object} params - Source parameters
      * @param {number} dist_cm - Distance from source to target (cm)
+     * @param {number} axial_cm - Axial target position along a line source (cm from its centre)
+     * @returns {number} Total flux summed over all energy groups (cm^-2 s^-1)
+     */
+    calculateFlux: function (type, params, dist_cm = 10, axial_cm = 0) {
+        return this.totalFlux(this.calculateSpectrum(type, params, dist_cm, axial_cm));
+    },
+
+    /**
+     * Calculate Group-wise Flux Spectrum based on Source Configuration
+     * @param {string} type - Source type (Sources.TYPES id)
+     * @param {Object} params - Source parameters; params.moderator (Moderator.regions assembly)
+     *   converts the flux of point-like fast sources into a moderated spectrum (see acceptsModerator)
+     * @param {number} dist_cm - Distance from source to target (cm)
+     * @param {number} axial_cm - Axial target position along a line source (cm from its centre)
+     * @returns {Object} Group fluxes keyed by NuclearData.energyGroups id (cm^-2 s^-1)
+     */
+    calculateSpectrum: function (type, params, dist_cm = 10, axial_cm = 0) {
+        const bare = this.bareSpectrum(type, params, dist_cm, axial_cm);
+        if (!params.moderator || !this.acceptsModerator(type)) return bare;
+
+        // Moderator assembly around a fast source (see Moderator.transferFactors)
+        const factors = Moderator.transferFactors(params.moderator, dist_cm);
+        if (!factors) return bare;
+        const phi_primary = type === this.TYPES.ACCELERATOR ? this.totalFlux(bare) : (bare.dt14 || 0);
+        return Moderator.moderate(phi_primary, factors);
+    },
+
+    /**
+     * Fast (D-T / GDT / accelerator) sources that a moderator assembly can convert
+     */
+    isFastSource: function (type) {
+        return type === this.TYPES.DT_GENERATOR || type === this.TYPES.GDT_TRAP || type === this.TYPES.ACCELERATOR;
+    },
+
+    /**
+     * Fast sources a moderator assembly can surround: point-like emitters (D-T generator,
+     * accelerator converter). The Moderator model is spherical around a point source, which
+     * a metres-long GDT plasma column does not fit; the GDT is always treated bare.
+     */
+    acceptsModerator: function (type) {
+        return type === this.TYPES.DT_GENERATOR || type === this.TYPES.ACCELERATOR;
+    },
+
+    /**
+     * Unmoderated Group Spectrum at the target (see calculateSpectrum)
      */
-    calculateFlux: function (type, params, dist_cm = 10) {
+    bareSpectrum: function (type, params, dist_cm = 10, axial_cm = 0) {
         if (type === this.TYPES.FIXED_FLUX) {
-            return params.flux || 0;
+            return this.fixedFluxSpectrum(params);
         }
 
         if (type === this.TYPES.DT_GENERATOR) {
@@ -29,75 +131,421 @@ export const Sources = {
         }
 
         if (type === this.TYPES.GDT_TRAP) {
-            return this.gdtTrapFlux(params, dist_cm);
+            return this.gdtTrapFlux(params, dist_cm, axial_cm);
+        }
+
+        if (type === this.TYPES.REACTOR) {
+            return this.reactorFlux(params);
+        }
+
+        if (type === this.TYPES.ACCELERATOR) {
+            return this.acceleratorFlux(params, dist_cm);
+        }
+
+        return {};
+    },
+
+    /**
+     * Sum a group spectrum to a scalar flux
+     */
+    totalFlux: function (spectrum) {
+        return Object.values(spectrum).reduce((sum, phi) => sum + phi, 0);
+    },
+
+    /**
+     * Epithermal group flux from a per-unit-lethargy epithermal flux
+     *
+     * @param {number} phiPerLethargy - φ_epi per unit lethargy (cm^-2 s^-1), the Høgdahl
+     *   convention of irradiation-position data (1/E spectrum)
+     * @returns {number} Group-integrated epithermal flux φ_g (cm^-2 s^-1)
+     *
+     * Formula: φ_g = φ_epi * Δu_epi,  Δu_epi = ln(1e5 / 0.625) ≈ 12.0
+     */
+    epithermalGroupFlux: function (phiPerLethargy) {
+        return phiPerLethargy * NuclearData.groupLethargyWidth('epithermal');
+    },
+
+    /**
+     * Fixed Flux Model (reactor-style irradiation position)
+     * `flux` is the thermal flux; epithermalRatio = φ_epi / φ_th with φ_epi per unit
+     * lethargy (1/f in Høgdahl notation), fastRatio = φ_fast / φ_th (group total above 0.1 MeV).
+     */
+    fixedFluxSpectrum: function (params) {
+        const { flux = 0, epithermalRatio = 0, fastRatio = 0 } = params;
+        return {
+            thermal: flux,
+            epithermal: this.epithermalGroupFlux(flux * epithermalRatio),
+            fast: flux * fastRatio
+        };
+    },
+
+    /**
+     * Research Reactor Irradiation Position
+     * Group fluxes are given directly (measured / core-calculated position data):
+     * thermal and fast as group totals, epithermalFlux per unit lethargy.
+     * The reactor cycle is applied as an operating profile (see cycleProfile).
+     */
+    reactorFlux: function (params) {
+        const { thermalFlux = 0, epithermalFlux = 0, fastFlux = 0 } = params;
+        return {
+            thermal: thermalFlux,
+            epithermal: this.epithermalGroupFlux(epithermalFlux),
+            fast: fastFlux
+        };
+    },
+
+    /**
+     * Neutron Yield of an Accelerator-Driven Converter
+     *
+     * @param {Object} params - { converter, beamCurrent_uA, beamEnergy_MeV }
+     * @returns {Object} { particleRate_s, neutronsPerParticle, yield_n_s, beamPower_kW }
+     * @throws {Error} On unknown converters or invalid beam parameters
+     *
+     * Formula: N_dot = I / e
+     *          spallation  n/p = k_GeV * (E - E_th) / 1000   (E > E_th)
+     *          D-Be        n/d = k * E^2
+     *          Y = N_dot * n/particle,  P_beam = I * E
+     */
+    acceleratorYield: function (params) {
+        const { converter = 'd_be', beamCurrent_uA = 0, beamEnergy_MeV = 0 } = params;
+        const conv = this.ACCELERATOR_CONVERTERS[converter];
+        if (!conv) throw new Error(`Unknown accelerator converter: ${converter}`);
+        if (!(beamCurrent_uA >= 0) || !(beamEnergy_MeV > 0)) {
+            throw new Error('Beam current must be non-negative and beam energy positive');
         }
 
-        return 0;
+        const particleRate_s = beamCurrent_uA * 1e-6 / this.ELEMENTARY_CHARGE_C;
+        const neutronsPerParticle = converter === 'spallation'
+            ? conv.neutronsPerGeV * Math.max(0, beamEnergy_MeV - conv.threshold_MeV) / 1000
+            : conv.yieldCoefficient * beamEnergy_MeV * beamEnergy_MeV;
+
+        return {
+            particleRate_s,
+            neutronsPerParticle,
+            yield_n_s: particleRate_s * neutronsPerParticle,
+            beamPower_kW: beamCurrent_uA * beamEnergy_MeV * 1e-3
+        };
+    },
+
+    /**
+     * Accelerator-Driven Neutron Source Model
+     * Point source at the converter (valid for dist >> beam spot), spread over the
+     * converter's group spectrum (ACCELERATOR_CONVERTERS).
+     */
+    acceleratorFlux: function (params, dist_cm) {
+        const { converter = 'd_be' } = params;
+        const { yield_n_s } = this.acceleratorYield(params);
+        const r_cm = Math.max(dist_cm, 1); // Converter housing
+
+        const flux = yield_n_s / (4 * Math.PI * r_cm * r_cm);
+        const fractions = this.ACCELERATOR_CONVERTERS[converter].spectrum;
+        const spectrum = {};
+        Object.keys(fractions).forEach(g => { spectrum[g] = flux * fractions[g]; });
+        return spectrum;
+    },
+
+    /**
+     * Spread an uncollided 14 MeV peak flux into a group spectrum
+     * (peak in the dt14 group plus a moderated tail, see DT_SPECTRUM_TAIL)
+     */
+    dtSpectrum: function (peakFlux, tail = this.DT_SPECTRUM_TAIL) {
+        return {
+            thermal: peakFlux * (tail.thermal || 0),
+            epithermal: peakFlux * (tail.epithermal || 0),
+            fast: peakFlux * (tail.fast || 0),
+            dt14: peakFlux
+        };
     },
 
     /**
      * D-T Neutron Generator Model
      * Point source approximation (valid for dist >> source_radius)
      * Yield ~ 1e14 n/s is high end, usually 1e8 - 1e12 n/s.
+     * Returns a group spectrum (14 MeV peak + moderated tail).
      */
     dtGeneratorFlux: function (params, dist_cm) {
-        const { yieldRate_n_s = 1e10 } = params;
+        const { yieldRate_n_s = 1e10, spectrumTail } = params;
 
         // Flux = Yield / (4 * PI * r^2)
         // Simple point source attenuation
         if (dist_cm <= 0.1) dist_cm = 0.1; // Prevent singularity
 
         const area = 4 * Math.PI * Math.pow(dist_cm, 2);
-        return yieldRate_n_s / area;
+        return this.dtSpectrum(yieldRate_n_s / area, spectrumTail);
     },
 
     /**
      * Gas Dynamic Trap (GDT) Model
-     * Linear source approximation or simplified volumetric.
-     * Based on legacy gdtSource.js logic.
+     * Finite emitting plasma column (length, radius, axial emission profile) integrated
+     * to a target at radial distance dist_cm from the axis and axial position axial_cm
+     * from the column centre. The yield is derated when the peak neutron wall loading
+     * exceeds wallLoadingLimit_MWm2 (legacy gdtNeutronSource wall derate).
+     * Returns a group spectrum (14 MeV peak + moderated tail).
      */
-    gdtTrapFlux: function (params, dist_cm) {
+    gdtTrapFlux: function (params, dist_cm, axial_cm = 0) {
         // Engineering params
         const {
             fusionPower_MW = 1,
             neutronsPerMW = 3.55e17, // Standard D-T fusion (approx 17.6 MeV/n => ~3.55e17 n/J? 1W=1J/s. 14MeV/n = 2.24e-12 J. 1/2.24e-12 = 4.46e11 n/s/W = 4.46e17 n/s/MW. Close enough.)
-            dutyCycle = 1.0,
-            availability = 0.9,
-            wallLoadingLimit_MWm2 = 2.0 // Constraint
+            spectrumTail
         } = params;
 
-        // 1. Calculate Neutron Yield
+        // Note: Returns Peak Flux. Downtime (pulsing, shutdowns, ramps) is applied by
+        // integrating the chain through an irradiation schedule (see irradiationSchedule);
+        // dutyCycle / availability set the default operating cycle (see cycleProfile).
         const yield_n_s = fusionPower_MW * neutronsPerMW;
+        const column = this.gdtColumn(params);
+        const { wallDerate } = this.gdtWallLoading(params, column);
+
+        // Targets sit outside the first wall
+        const rho_cm = Math.max(dist_cm, column.wallRadius_cm);
+        const flux_peak = yield_n_s * wallDerate * this.gdtColumnKernel(column, rho_cm, axial_cm);
+
+        return this.dtSpectrum(flux_peak, spectrumTail);
+    },
+
+    /**
+     * GDT plasma column geometry and normalised axial emission
+     *
+     * @param {Object} params
+     *   {
+     *     plasmaLength_cm: number,  // Emitting column length (default 500)
+     *     plasmaRadius_cm: number,  // Emitting column radius (default 3)
+     *     wallRadius_cm: number,    // First-wall radius, > plasma radius (default 5)
+     *     axialProfile: string      // GDT_AXIAL_PROFILES id (default uniform)
+     *   }
+     * @returns {Object} { length_cm, radius_cm, wallRadius_cm, emission: [{ z_cm, weight }] }
+     *   emission: axial midpoints (column centre at z = 0), weights summing to 1
+     * @throws {Error} On non-positive dimensions or unknown profiles
+     *
+     * Profiles: uniform;  cosine  S(z) ∝ cos(π z / L);
+     *           end_peaked  S(z) ∝ Σ± exp(-(z/L ∓ u_t)^2 / (2 w^2))  (sloshing-ion turning points)
+     */
+    gdtColumn: function (params) {
+        const {
+            plasmaLength_cm = 500,
+            plasmaRadius_cm = 3,
+            wallRadius_cm = 5,
+            axialProfile = this.GDT_AXIAL_PROFILES.UNIFORM
+        } = params;
+        if (!(plasmaLength_cm > 0) || !(plasmaRadius_cm > 0)) {
+            throw new Error('GDT plasma length and radius must be positive');
+        }
+        if (!(wallRadius_cm > plasmaRadius_cm)) {
+            throw new Error('GDT wall radius must be larger than the plasma radius');
+        }
 
-        // 2. Average over time (Availability * Duty)
-        // Note: For physics Activation, we usually use Peak Flux for saturation, 
-        // and handle downtime via duty cycle factors in the Bateman eq or post-process.
-        // However, for "Effective Flux" in simple models, we often derate.
-        // Let's return Peak Flux for the core calc, but export average yield for Manufacturing.
+        const { turningPoint, width } = this.GDT_END_PEAKS;
+        const shape = (u) => {
+            if (axialProfile === this.GDT_AXIAL_PROFILES.UNIFORM) return 1;
+            if (axialProfile === this.GDT_AXIAL_PROFILES.COSINE) return Math.cos(Math.PI * u);
+            if (axialProfile === this.GDT_AXIAL_PROFILES.END_PEAKED) {
+                return Math.exp(-Math.pow(u - turningPoint, 2) / (2 * width * width)) +
+                    Math.exp(-Math.pow(u + turningPoint, 2) / (2 * width * width));
+            }
+            throw new Error(`Unknown GDT axial profile: ${axialProfile}`);
+        };
 
-        // Simple geometry (Cylindrical approx): Flux ~ Yield / Area
-        // Assume Source is a line source of length L ~ 10m? 
-        // Or generic "close proximity" approximation.
-        // Legacy code didn't specify geometry, just "Effective Yield".
-        // Let's implement a standard cylindrical fall-off: Flux = Yield / (2 * PI * r * L)
+        const n = this.GDT_AXIAL_STEPS;
+        const dz = plasmaLength_cm / n;
+        const points = [];
+        for (let i = 0; i < n; i++) {
+            const z_cm = -plasmaLength_cm / 2 + (i + 0.5) * dz;
+            points.push({ z_cm, weight: shape(z_cm / plasmaLength_cm) });
+        }
+        const total = points.reduce((sum, p) => sum + p.weight, 0);
 
-        const L_cm = 500; // 5 meters effective length assumption
-        const r_cm = Math.max(dist_cm, 5); // Minimum radius (wall)
+        return {
+            length_cm: plasmaLength_cm,
+            radius_cm: plasmaRadius_cm,
+            wallRadius_cm,
+            emission: points.map(p => ({ z_cm: p.z_cm, weight: p.weight / total }))
+        };
+    },
 
-        const area = 2 * Math.PI * r_cm * L_cm;
-        const flux_peak = yield_n_s / area;
+    /**
+     * Uncollided flux per source neutron from a GDT column (see gdtColumn)
+     *
+     * @param {Object} column - gdtColumn result
+     * @param {number} rho_cm - Radial distance of the point from the column axis (cm)
+     * @param {number} z_cm - Axial position of the point from the column centre (cm)
+     * @returns {number} φ / S (cm^-2)
+     *
+     * Formula: φ/S = Σ_i w_i <1 / (4π |r - r'|^2)>_disk
+     *   Each axial slice is a uniform disk of radius a, split into equal-area rings of radius s;
+     *   the azimuthal average over a ring is exact:
+     *   <1 / |r - r'|^2>_ring = 1 / sqrt((h^2 + ρ^2 + s^2)^2 - (2 ρ s)^2),  h = z - z_i
+     */
+    gdtColumnKernel: function (column, rho_cm, z_cm) {
+        const rings = this.GDT_RADIAL_RINGS;
+        let sum = 0;
+        column.emission.forEach(({ z_cm: z_i, weight }) => {
+            const h2 = Math.pow(z_cm - z_i, 2);
+            let ringSum = 0;
+            for (let k = 0; k < rings; k++) {
+                const s = column.radius_cm * Math.sqrt((k + 0.5) / rings);
+                const a = h2 + rho_cm * rho_cm + s * s;
+                ringSum += 1 / Math.sqrt(Math.max(a * a - 4 * rho_cm * rho_cm * s * s, 1e-12));
+            }
+            sum += weight * ringSum / rings;
+        });
+        return sum / (4 * Math.PI);
+    },
 
-        // Apply Limiters?
-        // If Wall Loading is exceeded, we might need to assume the machine is dialed back.
-        // But usually that's a warning, not a hard clamp in sizing.
+    /**
+     * GDT Neutron Wall Loading and Wall Derate
+     *
+     * @param {Object} params - GDT parameters (fusionPower_MW, neutronsPerMW, wallLoadingLimit_MWm2)
+     * @param {Object} column - gdtColumn result (default from params)
+     * @returns {Object} { neutronPower_MW, averageWallLoading_MWm2, peakWallLoading_MWm2, wallDerate }
+     *
+     * Formula: P_n = Y * E_n,  Γ_avg = P_n / (2π r_wall L),  Γ_peak = Γ_avg * max(S(z)) / <S>
+     *          derate = Γ_limit / Γ_peak when Γ_peak > Γ_limit, else 1 (legacy gdtNeutronSource)
+     */
+    gdtWallLoading: function (params, column = this.gdtColumn(params)) {
+        const { fusionPower_MW = 1, neutronsPerMW = 3.55e17, wallLoadingLimit_MWm2 = 2.0 } = params;
+        const neutronPower_MW = fusionPower_MW * neutronsPerMW * this.DT_NEUTRON_ENERGY_J * 1e-6;
+        const wallArea_m2 = 2 * Math.PI * (column.wallRadius_cm / 100) * (column.length_cm / 100);
+        const averageWallLoading_MWm2 = neutronPower_MW / wallArea_m2;
+        const peaking = Math.max(...column.emission.map(p => p.weight)) * column.emission.length;
+        const peakWallLoading_MWm2 = averageWallLoading_MWm2 * peaking;
 
-        return flux_peak;
+        return {
+            neutronPower_MW,
+            averageWallLoading_MWm2,
+            peakWallLoading_MWm2,
+            wallDerate: peakWallLoading_MWm2 > wallLoadingLimit_MWm2 ? wallLoadingLimit_MWm2 / peakWallLoading_MWm2 : 1.0
+        };
+    },
+
+    /**
+     * Build a piecewise-constant irradiation schedule from an operating profile
+     *
+     * @param {Object} profile
+     *   constant:   { type }
+     *   duty_cycle: { type, period_s, dutyFraction, rampTime_s }  // on for dutyFraction of each period
+     *   ramp:       { type, rampTime_s, startFactor }             // startFactor -> 1 over rampTime_s
+     *   step:       { type, stepTime_s, stepFactor }              // 1 before, stepFactor after
+     * @param {number} t_irr - Total irradiation window (s), downtime included
+     * @returns {Array<Object>} Segments [{ duration (s), fluxFactor, averaged }] summing to t_irr
+     *   fluxFactor is relative to the source peak flux; averaged is set when the profile was
+     *   replaced by its time-average (more than MAX_SCHEDULE_SEGMENTS segments)
+     * @throws {Error} On unknown profile types or invalid parameters
+     */
+    irradiationSchedule: function (profile, t_irr) {
+        const type = (profile && profile.type) || this.PROFILES.CONSTANT;
+        const segments = [];
+        const push = (duration, fluxFactor) => {
+            if (duration > 0) segments.push({ duration, fluxFactor });
+        };
+        // Ramp from f0 to 1 over rampTime (midpoint staircase), cut at `length`
+        const pushRamp = (length, rampTime, f0) => {
+            const ramp = Math.min(rampTime, length);
+            const dt = rampTime / this.RAMP_STEPS;
+            for (let t = 0; t < ramp - 1e-9; t += dt) {
+                push(Math.min(dt, ramp - t), f0 + (1 - f0) * (t + dt / 2) / rampTime);
+            }
+            push(length - ramp, 1);
+        };
+
+        if (type === this.PROFILES.CONSTANT) {
+            push(t_irr, 1);
+        } else if (type === this.PROFILES.STEP) {
+            const { stepTime_s = t_irr, stepFactor = 0 } = profile;
+            push(Math.min(stepTime_s, t_irr), 1);
+            push(t_irr - stepTime_s, stepFactor);
+        } else if (type === this.PROFILES.RAMP) {
+            const { rampTime_s = 0, startFactor = 0 } = profile;
+            if (rampTime_s > 0) pushRamp(t_irr, rampTime_s, startFactor); else push(t_irr, 1);
+        } else if (type === this.PROFILES.DUTY_CYCLE) {
+            const { period_s, dutyFraction, rampTime_s = 0 } = profile;
+            if (!(period_s > 0) || !(dutyFraction >= 0 && dutyFraction <= 1)) {
+                throw new Error('Duty cycle needs a positive period and a duty fraction between 0 and 1');
+            }
+            const on_s = dutyFraction * period_s;
+            const perCycle = 2 + (rampTime_s > 0 ? this.RAMP_STEPS : 0);
+            if (Math.ceil(t_irr / period_s) * perCycle > this.MAX_SCHEDULE_SEGMENTS) {
+                const ramp = Math.min(rampTime_s, on_s);
+                return [{ duration: t_irr, fluxFactor: (on_s - ramp / 2) / period_s, averaged: true }];
+            }
+            for (let start = 0; start < t_irr; start += period_s) {
+                const on = Math.min(on_s, t_irr - start);
+                if (rampTime_s > 0) pushRamp(on, rampTime_s, 0); else push(on, 1);
+                push(Math.min(period_s, t_irr - start) - on, 0);
+            }
+        } else {
+            throw new Error(`Unknown flux profile type: ${type}`);
+        }
+        return segments;
+    },
+
+    /**
+     * Built-in operating cycle of a source type (Sources.irradiationSchedule profile)
+     * Reactor positions follow the reactor cycle (cycleLength_days on, outage_days off);
+     * the GDT runs for dutyCycle * availability of each cyclePeriod_days (default weekly),
+     * the rest being pulse gaps and unplanned downtime lumped into one outage;
+     * other sources have none (null).
+     */
+    cycleProfile: function (type, params) {
+        if (type === this.TYPES.GDT_TRAP) {
+            const { dutyCycle = 1, availability = 1, cyclePeriod_days = 7 } = params;
+            const dutyFraction = dutyCycle * availability;
+            if (dutyFraction >= 1) return null; // continuous operation
+            return {
+                type: this.PROFILES.DUTY_CYCLE,
+                period_s: cyclePeriod_days * 24 * 3600,
+                dutyFraction
+            };
+        }
+        if (type !== this.TYPES.REACTOR) return null;
+        const { cycleLength_days = 0, outage_days = 0 } = params;
+        if (!(cycleLength_days > 0) || !(outage_days > 0)) return null; // continuous operation
+        const period_days = cycleLength_days + outage_days;
+        return {
+            type: this.PROFILES.DUTY_CYCLE,
+            period_s: period_days * 24 * 3600,
+            dutyFraction: cycleLength_days / period_days
+        };
+    },
+
+    /**
+     * Neutron emission rate of a fast source (n/s)
+     * D-T generator yield, GDT fusion yield after the wall-loading derate, accelerator
+     * converter yield; null for flux-defined sources (fixed flux, reactor).
+     */
+    sourceStrength: function (type, params) {
+        if (type === this.TYPES.DT_GENERATOR) return params.yieldRate_n_s || 0;
+        if (type === this.TYPES.ACCELERATOR) return this.acceleratorYield(params).yield_n_s;
+        if (type === this.TYPES.GDT_TRAP) {
+            const { fusionPower_MW = 1, neutronsPerMW = 3.55e17 } = params;
+            return fusionPower_MW * neutronsPerMW * this.gdtWallLoading(params).wallDerate;
+        }
+        return null;
+    },
+
+    /**
+     * Spatial flux field of a source type (see Spatial.fluxFactor)
+     * Fixed flux and reactor positions are uniform; the D-T generator and accelerator
+     * converters are point sources and the GDT a finite column along x (target centre at
+     * axial_cm), with the same minimum distances as the flux models.
+     */
+    spatialField: function (type, params = {}, axial_cm = 0) {
+        if (type === this.TYPES.DT_GENERATOR) return { type: 'point', minDistance_cm: 0.1 };
+        if (type === this.TYPES.ACCELERATOR) return { type: 'point', minDistance_cm: 1 };
+        if (type === this.TYPES.GDT_TRAP) {
+            const column = this.gdtColumn(params);
+            return { type: 'column', column, axial_cm, minDistance_cm: column.wallRadius_cm };
+        }
+        return { type: 'uniform' };
     },
 
     /**
      * Get Defaults for UI
      */
     getDefaults: function (type) {
+        if (type === this.TYPES.FIXED_FLUX) {
+            return { epithermalRatio: 0.03, fastRatio: 0 };
+        }
         if (type === this.TYPES.DT_GENERATOR) {
             return { yieldRate_n_s: 1e12 };
         }
@@ -105,8 +553,30 @@ export const Sources = {
             return {
                 fusionPower_MW: 2,
                 neutronsPerMW: 4.4e17,
-                dutyCycle: 1.0,
-                availability: 0.9
+                dutyCycle: 1.0,       // fraction of operating time with plasma on
+                availability: 0.9,    // fraction of the calendar the machine can operate
+                cyclePeriod_days: 7,
+                plasmaLength_cm: 500,
+                plasmaRadius_cm: 3,
+                wallRadius_cm: 5,
+                axialProfile: this.GDT_AXIAL_PROFILES.UNIFORM,
+                wallLoadingLimit_MWm2: 2.0
+            };
+        }
+        if (type === this.TYPES.REACTOR) {
+            return {
+                thermalFlux: 1e14,   // n/cm2/s
+                epithermalFlux: 3e12, // per unit lethargy
+                fastFlux: 5e13,
+                cycleLength_days: 28,
+                outage_days: 7
+            };
+        }
+        if (type === this.TYPES.ACCELERATOR) {
+            return {
+                converter: 'd_be',
+                beamCurrent_uA: 1000,
+                beamEnergy_MeV: this.ACCELERATOR_CONVERTERS.d_be.defaultEnergy_MeV
             };
         }
         return {};
@@ -0,0 +1,213 @@
+/**
+ * spatial.js
+ *
+ * Spatial Flux Integration over the Target Volume.
+ * Samples the source flux field over disk, cylinder, sphere, rectangular plate
+ * and annular targets at any lateral offset, and returns the volume-averaged flux
+ * factor plus a face-on activity-uniformity map.
+ *
+ * Coordinates: source at the origin, beam axis along z. The target centre sits at
+ * (offsetX, offsetY, distance). Disk, annulus and plate faces are normal to z
+ * (thickness along z); the cylinder axis lies along y (length = thickness).
+ *
+ * STRICT SEPARATION: No DOM access. Lengths in cm.
+ */
+
+import { Sources } from './sources.js';
+
+export const Spatial = {
+
+    // Integration grid over the target bounding box (cell midpoints)
+    GRID: { nx: 16, ny: 16, nz: 6 },
+
+    // Face-on (x-y) grid doublings tried when no midpoint falls inside a thin shape
+    MAX_REFINE: 4,
+
+    /**
+     * Half-extents of the target bounding box
+     *
+     * @param {Object} geometry - { shape, radius, thickness, innerRadius, width, height }
+     * @returns {Array<number>} [hx, hy, hz] (cm)
+     * @throws {Error} On unknown shapes or non-positive dimensions
+     */
+    halfExtents: function (geometry) {
+        const { shape, radius, thickness, innerRadius = 0, width, height } = geometry;
+        const positive = (...values) => values.every(v => v > 0);
+
+        if (shape === 'plate') {
+            if (!positive(width, height, thickness)) throw new Error('Plate width, height and thickness must be positive');
+            return [width / 2, height / 2, thickness / 2];
+        }
+        if (!positive(radius)) throw new Error('Radius must be positive');
+        if (shape === 'sphere') return [radius, radius, radius];
+        if (!positive(thickness)) throw new Error('Thickness must be positive');
+        if (shape === 'disk') return [radius, radius, thickness / 2];
+        if (shape === 'annulus') {
+            if (!(innerRadius >= 0 && innerRadius < radius)) {
+                throw new Error('Annulus inner radius must be between 0 and the outer radius');
+            }
+            return [radius, radius, thickness / 2];
+        }
+        if (shape === 'cylinder') return [radius, thickness / 2, radius];
+        throw new Error(`Unknown target shape: ${shape}`);
+    },
+
+    /**
+     * Exact target volume
+     *
+     * @param {Object} geometry - { shape, radius, thickness, innerRadius, width, height }
+     * @returns {number} Volume (cm^3)
+     * @throws {Error} On invalid geometry (see halfExtents)
+     */
+    volume: function (geometry) {
+        const [hx, hy, hz] = this.halfExtents(geometry);
+        const { shape, radius, innerRadius = 0 } = geometry;
+        if (shape === 'plate') return 8 * hx * hy * hz;
+        if (shape === 'sphere') return 4 / 3 * Math.PI * Math.pow(radius, 3);
+        if (shape === 'cylinder') return Math.PI * radius * radius * 2 * hy;
+        if (shape === 'annulus') return Math.PI * (radius * radius - innerRadius * innerRadius) * 2 * hz;
+        return Math.PI * radius * radius * 2 * hz;
+    },
+
+    /**
+     * Is a point (relative to the target centre) inside the target?
+     */
+    inside: function (geometry, x, y, z) {
+        const { shape, radius, innerRadius = 0 } = geometry;
+        if (shape === 'disk') return x * x + y * y <= radius * radius;
+        if (shape === 'annulus') {
+            const r2 = x * x + y * y;
+            return r2 <= radius * radius && r2 >= innerRadius * innerRadius;
+        }
+        if (shape === 'cylinder') return x * x + z * z <= radius * radius;
+        if (shape === 'sphere') return x * x + y * y + z * z <= radius * radius;
+        return true; // plate fills its bounding box
+    },
+
+    /**
+     * Flux at a point relative to the on-axis flux at the reference distance
+     *
+     * @param {Object} field - Flux field (see Sources.spatialField)
+     *   uniform:  { type }
+     *   point:    { type, minDistance_cm }  // isotropic point source at the origin
+     *   column:   { type, column, axial_cm, minDistance_cm }  // finite GDT column along x
+     *             // (Sources.gdtColumn), target centre at axial_cm from the column centre
+     * @param {number} X - Absolute position (cm)
+     * @param {number} Y
+     * @param {number} Z
+     * @param {number} d_ref - Reference distance on the beam axis (cm)
+     * @returns {number} φ(X, Y, Z) / φ(0, 0, d_ref)
+     *
+     * Formula: point    φ ∝ 1 / |p|^2
+     *          column   φ ∝ Sources.gdtColumnKernel(ρ, X + axial_cm),  ρ = sqrt(Y^2 + Z^2)
+     */
+    fluxFactor: function (field, X, Y, Z, d_ref) {
+        const min = field.minDistance_cm || 0;
+        if (field.type === 'point') {
+            const ref = Math.max(d_ref, min);
+            const r2 = Math.max(X * X + Y * Y + Z * Z, min * min);
+            return (ref * ref) / r2;
+        }
+        if (field.type === 'column') {
+            const ref = Sources.gdtColumnKernel(field.column, Math.max(d_ref, min), field.axial_cm);
+            const rho = Math.max(Math.sqrt(Y * Y + Z * Z), min);
+            return Sources.gdtColumnKernel(field.column, rho, X + field.axial_cm) / ref;
+        }
+        if (field.type === 'uniform') return 1;
+        throw new Error(`Unknown spatial flux field: ${field.type}`);
+    },
+
+    /**
+     * Integrate the flux field over the target volume
+     *
+     * @param {Object} geometry
+     *   { shape: 'disk'|'cylinder'|'sphere'|'plate'|'annulus', radius, thickness, innerRadius,
+     *     width, height, distance_cm, offsetX_cm, offsetY_cm }
+     * @param {Object} field - See fluxFactor
+     * @param {Object} grid - { nx, ny, nz } (default GRID)
+     * @returns {Object} { volume_cm3, meanFactor, minFactor, maxFactor, cv, map }
+     *   volume_cm3: exact target volume (see volume)
+     *   meanFactor: volume-averaged φ / φ(0, 0, distance); multiplies the production rate
+     *   cv: coefficient of variation of the local flux over the volume
+     *   map: { nx, ny, x0, y0, dx, dy, values } face-on (x-y) depth-averaged activity
+     *        relative to the target mean (values[iy][ix], null outside the target)
+     * @throws {Error} On invalid geometry, or a shape too thin for the grid after MAX_REFINE
+     *   doublings (no cell midpoint inside)
+     *
+     * Method: midpoint rule on a regular grid; the local activity per atom is taken
+     * proportional to the local flux (valid while burn-up is small). Thin shapes (e.g. a
+     * narrow annulus) that no midpoint falls into are resampled on a finer x-y grid.
+     */
+    integrate: function (geometry, field, grid = this.GRID) {
+        const volume_cm3 = this.volume(geometry);
+        for (let refine = 0; refine <= this.MAX_REFINE; refine++) {
+            const scale = Math.pow(2, refine);
+            const result = this.sample(geometry, field, { ...grid, nx: grid.nx * scale, ny: grid.ny * scale });
+            if (result) return { volume_cm3, ...result };
+        }
+        throw new Error('Target is too thin to sample: no integration point falls inside it');
+    },
+
+    /**
+     * Midpoint-rule pass of integrate on one grid
+     * @returns {Object|null} integrate result without volume_cm3, null when no midpoint is inside
+     */
+    sample: function (geometry, field, grid) {
+        const [hx, hy, hz] = this.halfExtents(geometry);
+        const { distance_cm = 0, offsetX_cm = 0, offsetY_cm = 0 } = geometry;
+        const { nx, ny, nz } = grid;
+        const dx = 2 * hx / nx;
+        const dy = 2 * hy / ny;
+        const dz = 2 * hz / nz;
+
+        const sums = [];
+        let count = 0;
+        let sum = 0;
+        let sumSq = 0;
+        let minFactor = Infinity;
+        let maxFactor = 0;
+
+        for (let iy = 0; iy < ny; iy++) {
+            sums[iy] = [];
+            const y = -hy + (iy + 0.5) * dy;
+            for (let ix = 0; ix < nx; ix++) {
+                const x = -hx + (ix + 0.5) * dx;
+                let columnSum = 0;
+                let columnCount = 0;
+                for (let iz = 0; iz < nz; iz++) {
+                    const z = -hz + (iz + 0.5) * dz;
+                    if (!this.inside(geometry, x, y, z)) continue;
+                    const f = this.fluxFactor(field, x + offsetX_cm, y + offsetY_cm, z + distance_cm, distance_cm);
+                    columnSum += f;
+                    columnCount++;
+                    sumSq += f * f;
+                    minFactor = Math.min(minFactor, f);
+                    maxFactor = Math.max(maxFactor, f);
+                }
+                sums[iy][ix] = columnCount > 0 ? columnSum / columnCount : null;
+                sum += columnSum;
+                count += columnCount;
+            }
+        }
+
+        if (count === 0) return null;
+        const meanFactor = sum / count;
+        const variance = Math.max(0, sumSq / count - meanFactor * meanFactor);
+
+        return {
+            meanFactor,
+            minFactor,
+            maxFactor,
+            cv: meanFactor > 0 ? Math.sqrt(variance) / meanFactor : 0,
+            map: {
+                nx,
+                ny,
+                x0: -hx + offsetX_cm,
+                y0: -hy + offsetY_cm,
+                dx,
+                dy,
+                values: sums.map(row => row.map(v => (v === null || meanFactor <= 0) ? null : v / meanFactor))
+            }
+        };
+    }
+};
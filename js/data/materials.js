@@ -0,0 +1,289 @@
+/**
+ * materials.js
+ *
+ * Target material data: chemical forms, densities and standard atomic weights,
+ * plus the target-material model (element + formula + isotope vector -> atoms).
+ * Standard atomic weights (IUPAC 2021, abridged); densities are bulk
+ * handbook values at room temperature (planning-grade).
+ */
+
+import { NuclearData } from './nuclearData.js';
+
+const AVOGADRO = 6.02214076e23; // mol^-1
+
+export const TargetMaterials = {
+    // Standard atomic weights (g/mol)
+    atomicWeights: {
+        'H': 1.008, 'N': 14.007, 'O': 15.999,
+        'Ti': 47.867, 'Cu': 63.546, 'Zn': 65.38, 'Y': 88.906, 'Mo': 95.95, 'Te': 127.60,
+        'Xe': 131.293, 'Sm': 150.36, 'Ho': 164.930, 'Yb': 173.045, 'Lu': 174.967, 'W': 183.84
+    },
+
+    // Chemical forms available per target element (density in g/cm3)
+    chemicalForms: {
+        'Lu': [{ id: 'metal', formula: 'Lu', density: 9.84 }, { id: 'oxide', formula: 'Lu2O3', density: 9.42 }],
+        'Ho': [
+            { id: 'metal', formula: 'Ho', density: 8.79 },
+            { id: 'oxide', formula: 'Ho2O3', density: 8.41 },
+            { id: 'nitrate', formula: 'Ho(NO3)3', density: 2.5 } // planning estimate (hydrated salt)
+        ],
+        'Sm': [{ id: 'metal', formula: 'Sm', density: 7.52 }, { id: 'oxide', formula: 'Sm2O3', density: 8.35 }],
+        'Mo': [{ id: 'metal', formula: 'Mo', density: 10.22 }, { id: 'oxide', formula: 'MoO3', density: 4.69 }],
+        'W': [{ id: 'metal', formula: 'W', density: 19.25 }, { id: 'oxide', formula: 'WO3', density: 7.16 }],
+        'Cu': [{ id: 'metal', formula: 'Cu', density: 8.96 }, { id: 'oxide', formula: 'CuO', density: 6.31 }],
+        'Y': [{ id: 'metal', formula: 'Y', density: 4.47 }, { id: 'oxide', formula: 'Y2O3', density: 5.01 }],
+        'Xe': [{ id: 'gas', formula: 'Xe', density: 0.00589 }], // 1 atm, 0 °C
+        'Zn': [{ id: 'metal', formula: 'Zn', density: 7.14 }, { id: 'oxide', formula: 'ZnO', density: 5.61 }],
+        'Ti': [{ id: 'metal', formula: 'Ti', density: 4.51 }, { id: 'oxide', formula: 'TiO2', density: 4.23 }],
+        'Te': [{ id: 'metal', formula: 'Te', density: 6.24 }, { id: 'oxide', formula: 'TeO2', density: 5.67 }],
+        'Yb': [{ id: 'metal', formula: 'Yb', density: 6.97 }, { id: 'oxide', formula: 'Yb2O3', density: 9.17 }]
+    },
+
+    /**
+     * Get chemical forms for an element
+     * @param {string} elementSymbol
+     * @returns {Array<Object>} Forms ({ id, formula, density }), empty if unknown
+     */
+    getChemicalForms: function (elementSymbol) {
+        return this.chemicalForms[elementSymbol] || [];
+    },
+
+    /**
+     * Get a chemical form by id
+     * @param {string} elementSymbol
+     * @param {string} formId - e.g. 'metal', 'oxide'
+     * @returns {Object|null}
+     */
+    getChemicalForm: function (elementSymbol, formId) {
+        return this.getChemicalForms(elementSymbol).find(f => f.id === formId) || null;
+    },
+
+    /**
+     * Parse a chemical formula into element counts
+     * Supports nested parentheses, e.g. 'Ho(NO3)3' -> { Ho: 1, N: 3, O: 9 }
+     * @param {string} formula
+     * @returns {Object} Atoms per formula unit keyed by element symbol
+     */
+    parseFormula: function (formula) {
+        const stack = [{}];
+        const tokens = formula.match(/[A-Z][a-z]?|\d+|\(|\)/g) || [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            const count = next && /^\d+$/.test(next) ? parseInt(next, 10) : 1;
+
+            if (token === '(') {
+                stack.push({});
+            } else if (token === ')') {
+                const group = stack.pop();
+                const top = stack[stack.length - 1];
+                Object.keys(group).forEach(el => { top[el] = (top[el] || 0) + group[el] * count; });
+                if (/^\d+$/.test(next || '')) i++;
+            } else if (/^[A-Z]/.test(token)) {
+                const top = stack[stack.length - 1];
+                top[token] = (top[token] || 0) + count;
+                if (/^\d+$/.test(next || '')) i++;
+            }
+        }
+        if (stack.length !== 1) {
+            throw new Error(`Unbalanced parentheses in formula: ${formula}`);
+        }
+        return stack[0];
+    },
+
+    /**
+     * Molar mass of a formula unit
+     * @param {string} formula
+     * @param {Object} massOverrides - Optional atomic masses (g/mol) keyed by element,
+     *   e.g. the isotope-vector mass of an enriched target element
+     * @returns {number} g/mol
+     */
+    molarMass: function (formula, massOverrides = {}) {
+        const counts = this.parseFormula(formula);
+        return Object.keys(counts).reduce((sum, el) => {
+            const weight = massOverrides[el] !== undefined ? massOverrides[el] : this.atomicWeights[el];
+            if (weight === undefined) {
+                throw new Error(`No atomic weight for element: ${el}`);
+            }
+            return sum + weight * counts[el];
+        }, 0);
+    },
+
+    /**
+     * Atom density of one element in a bulk material
+     * @param {string} formula - Chemical formula of the material
+     * @param {number} density_g_cm3 - Bulk density (g/cm3)
+     * @param {string} elementSymbol - Element to count
+     * @param {Object} massOverrides - Optional atomic masses (see molarMass)
+     * @returns {number} Element atoms per cm3
+     *
+     * Formula: n_el = ρ * N_A * ν_el / M_formula
+     */
+    elementAtomDensity: function (formula, density_g_cm3, elementSymbol, massOverrides = {}) {
+        const counts = this.parseFormula(formula);
+        const nu = counts[elementSymbol] || 0;
+        return density_g_cm3 * AVOGADRO * nu / this.molarMass(formula, massOverrides);
+    },
+
+    // ============================================================================
+    // TARGET-MATERIAL MODEL
+    // ============================================================================
+
+    /**
+     * Isotope vector (atom fractions) of the target element
+     *
+     * @param {string} elementSymbol - e.g. 'Mo'
+     * @param {number} massNumber - Target isotope mass number, e.g. 98
+     * @param {number|null} enrichment - Target isotope atom fraction (0-1), null for natural
+     * @returns {Object} Atom fractions keyed by mass number
+     *
+     * Enriched: x_target = enrichment, other isotopes keep their natural
+     * proportions scaled to fill (1 - enrichment).
+     * Elements without abundance data are treated as mono-isotopic in the target;
+     * buildTarget reports this as a warning.
+     */
+    isotopeVector: function (elementSymbol, massNumber, enrichment = null) {
+        const natural = NuclearData.isotopicAbundances[elementSymbol];
+        if (!natural) {
+            return { [massNumber]: enrichment === null ? 1.0 : enrichment };
+        }
+        if (enrichment === null) {
+            return { ...natural };
+        }
+
+        const vector = { [massNumber]: enrichment };
+        const naturalOthers = Object.keys(natural)
+            .filter(A => Number(A) !== massNumber)
+            .reduce((sum, A) => sum + natural[A], 0);
+        Object.keys(natural).forEach(A => {
+            if (Number(A) === massNumber) return;
+            vector[A] = naturalOthers > 0 ? natural[A] * (1 - enrichment) / naturalOthers : 0;
+        });
+        return vector;
+    },
+
+    /**
+     * Validate an isotope vector (atom fractions keyed by mass number)
+     * @param {Object} vector
+     * @param {number} massNumber - Target isotope mass number; its fraction must be > 0
+     * @returns {Array<string>} Error messages, empty if valid
+     */
+    validateIsotopeVector: function (vector, massNumber) {
+        const errors = [];
+        if (!(vector[massNumber] > 0)) {
+            errors.push(`No atom fraction given for the target isotope (mass ${massNumber})`);
+        }
+        let sum = 0;
+        Object.keys(vector).forEach(A => {
+            const x = vector[A];
+            if (!Number.isFinite(x) || x < 0 || x > 1) {
+                errors.push(`Fraction for mass ${A} must be between 0 and 1 (got ${x})`);
+            } else {
+                sum += x;
+            }
+        });
+        if (sum > 1 + 1e-6) {
+            errors.push(`Isotope fractions sum to ${sum.toFixed(4)} (> 1)`);
+        }
+        return errors;
+    },
+
+    /**
+     * Mean atomic mass of an element with a given isotope vector
+     * @param {string} elementSymbol
+     * @param {Object} vector - Atom fractions keyed by mass number
+     * @returns {number} g/mol
+     *
+     * Formula: M_el = Σ_i x_i M_i / Σ_i x_i   (isotopic masses, mass number if missing)
+     */
+    elementMass: function (elementSymbol, vector) {
+        let sumX = 0;
+        let sumXM = 0;
+        Object.keys(vector).forEach(A => {
+            const M = NuclearData.getIsotopicMass(elementSymbol, Number(A)) || Number(A);
+            sumX += vector[A];
+            sumXM += vector[A] * M;
+        });
+        return sumX > 0 ? sumXM / sumX : (this.atomicWeights[elementSymbol] || 0);
+    },
+
+    /**
+     * Build a target material
+     *
+     * @param {Object} spec
+     *   {
+     *     isotope: string,        // Target isotope, e.g. 'Mo-98'
+     *     formula: string,        // Chemical form, e.g. 'MoO3' (defaults to the element)
+     *     enrichment: number|null // Target isotope atom fraction, null for natural
+     *     isotopeVector: Object   // Explicit atom fractions (overrides enrichment)
+     *   }
+     * @returns {Object} { element, massNumber, formula, isotopeVector, elementMass_g_mol,
+     *   molarMass_g_mol, targetFraction, warnings }
+     * @throws {Error} If the enrichment or isotope vector is invalid, or leaves no target isotope
+     */
+    buildTarget: function (spec) {
+        const element = spec.isotope.match(/^([A-Z][a-z]?)/)[1];
+        const massNumber = parseInt(spec.isotope.match(/\d+/)[0], 10);
+        const formula = spec.formula || element;
+        const enrichment = spec.enrichment === undefined ? null : spec.enrichment;
+        const warnings = [];
+
+        if (enrichment !== null && !(enrichment >= 0 && enrichment <= 1)) {
+            throw new Error(`Enrichment must be between 0 and 1 (got ${enrichment})`);
+        }
+        if (spec.isotopeVector) {
+            const errors = this.validateIsotopeVector(spec.isotopeVector, massNumber);
+            if (errors.length > 0) {
+                throw new Error(`Invalid isotope vector: ${errors.join('; ')}`);
+            }
+        } else if (enrichment === null && !NuclearData.isotopicAbundances[element]) {
+            warnings.push(`No natural abundance data for ${element}: assuming 100% ${spec.isotope}. ` +
+                'Enter an enrichment or isotope vector.');
+        }
+
+        const vector = spec.isotopeVector
+            ? { ...spec.isotopeVector }
+            : this.isotopeVector(element, massNumber, enrichment);
+
+        if (!(vector[massNumber] > 0)) {
+            throw new Error(`${spec.isotope} is absent from the target (atom fraction 0): ` +
+                'enter an enrichment or isotope vector');
+        }
+
+        const elementMass_g_mol = this.elementMass(element, vector);
+        return {
+            element,
+            massNumber,
+            formula,
+            isotopeVector: vector,
+            elementMass_g_mol,
+            molarMass_g_mol: this.molarMass(formula, { [element]: elementMass_g_mol }),
+            targetFraction: vector[massNumber] || 0,
+            warnings
+        };
+    },
+
+    /**
+     * Number of target-isotope atoms in a mass of target material
+     *
+     * @param {Object} target - From buildTarget
+     * @param {number} mass_mg - Mass of target material in its chemical form (mg)
+     * @returns {number} Target isotope atoms N_target
+     *
+     * Formula: N_target = (m / M_formula) * N_A * ν_el * x_target
+     * Units: [1] = ([g] / [g/mol]) * [mol^-1] * [1] * [1]
+     */
+    targetAtoms: function (target, mass_mg) {
+        const nu = this.parseFormula(target.formula)[target.element] || 0;
+        return (mass_mg * 1e-3 / target.molarMass_g_mol) * AVOGADRO * nu * target.targetFraction;
+    },
+
+    /**
+     * Atom density of the target isotope in the bulk material (atoms/cm3)
+     */
+    targetAtomDensity: function (target, density_g_cm3) {
+        return this.elementAtomDensity(target.formula, density_g_cm3, target.element,
+            { [target.element]: target.elementMass_g_mol }) * target.targetFraction;
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * moderators.js
+ *
+ * Moderator / reflector material data for the neutron-moderator assembly model
+ * (Moderator.transferFactors). Group constants are macroscopic, for the
+ * NuclearData.energyGroups structure below 10 MeV (fast, epithermal, thermal);
+ * the 14 MeV group is handled as uncollided flux (sigmaT14 + multiplicity14).
+ * Planning-grade values condensed from textbook two-/four-group data at room
+ * temperature and nominal density; they reproduce the handbook Fermi ages and
+ * thermal diffusion lengths to ~10-20 %.
+ */
+
+export const ModeratorMaterials = {
+    materials: {
+        'H2O': {
+            name: 'Light Water',
+            density: 1.0,                       // g/cm3
+            composition: { 'H-1': 2, 'O-16': 1 }, // atoms per molecule (transport exports)
+            thermalScattering: 'lwtr',          // MCNP S(α,β) table
+            sigmaT14: 0.0995,                   // cm^-1, total at 14 MeV
+            multiplicity14: 1.0,                // neutrons into the fast group per 14 MeV collision
+            groups: {
+                fast: { D: 1.50, sigmaA: 5.0e-4, sigmaR: 0.080 },
+                epithermal: { D: 0.75, sigmaA: 8.0e-4, sigmaR: 0.120 },
+                thermal: { D: 0.16, sigmaA: 0.0197 }      // L = 2.85 cm
+            }
+        },
+        'D2O': {
+            name: 'Heavy Water',
+            density: 1.105,
+            composition: { 'H-2': 2, 'O-16': 1 },
+            thermalScattering: 'hwtr',
+            sigmaT14: 0.106,
+            multiplicity14: 1.05,               // D(n,2n)
+            groups: {
+                fast: { D: 1.40, sigmaA: 2.0e-5, sigmaR: 0.011 },
+                epithermal: { D: 0.90, sigmaA: 2.0e-5, sigmaR: 0.009 },
+                thermal: { D: 0.87, sigmaA: 8.5e-5 }      // L ~ 100 cm (reactor-grade, 99.75 %)
+            }
+        },
+        'graphite': {
+            name: 'Graphite',
+            density: 1.70,
+            composition: { 'C-nat': 1 },
+            thermalScattering: 'grph',
+            sigmaT14: 0.11,
+            multiplicity14: 1.0,
+            groups: {
+                fast: { D: 1.60, sigmaA: 1.0e-5, sigmaR: 0.0075 },
+                epithermal: { D: 0.95, sigmaA: 1.0e-5, sigmaR: 0.0060 },
+                thermal: { D: 0.84, sigmaA: 2.7e-4 }      // L = 56 cm
+            }
+        },
+        'polyethylene': {
+            name: 'Polyethylene (CH2)',
+            density: 0.94,
+            composition: { 'H-1': 2, 'C-nat': 1 },
+            thermalScattering: 'poly',
+            sigmaT14: 0.108,
+            multiplicity14: 1.0,
+            groups: {
+                fast: { D: 1.30, sigmaA: 5.0e-4, sigmaR: 0.095 },
+                epithermal: { D: 0.60, sigmaA: 9.0e-4, sigmaR: 0.150 },
+                thermal: { D: 0.13, sigmaA: 0.027 }       // L = 2.2 cm
+            }
+        },
+        'Be': {
+            name: 'Beryllium',
+            density: 1.85,
+            composition: { 'Be-9': 1 },
+            thermalScattering: 'be',
+            sigmaT14: 0.185,
+            multiplicity14: 1.33,               // Be-9(n,2n), ~0.5 b of 1.5 b at 14 MeV
+            groups: {
+                fast: { D: 1.30, sigmaA: 5.0e-4, sigmaR: 0.016 }, // incl. (n,α) above 0.7 MeV
+                epithermal: { D: 0.60, sigmaA: 1.0e-5, sigmaR: 0.020 },
+                thermal: { D: 0.50, sigmaA: 1.04e-3 }     // L = 22 cm
+            }
+        }
+    },
+
+    /**
+     * Get a moderator material by id
+     * @param {string} id - e.g. 'H2O', 'graphite'
+     * @returns {Object|null}
+     */
+    get: function (id) {
+        return this.materials[id] || null;
+    }
+};
@@ -2,13 +2,13 @@
  * nuclearData.js
  * 
  * Central repository for nuclear data constants and lookups.
- * Natural isotopic abundances (NIST 2023)
+ * Natural isotopic abundances (NIST 2023), isotopic masses (AME2020)
  */
 
 export const NuclearData = {
     // Natural isotopic abundances (fractions)
     isotopicAbundances: {
-        'Zn': { 64: 0.492, 66: 0.278, 67: 0.041, 68: 0.188 },
+        'Zn': { 64: 0.492, 66: 0.278, 67: 0.041, 68: 0.188, 70: 0.0061 },
         'Ti': { 46: 0.0825, 47: 0.0744, 48: 0.7372, 49: 0.0541, 50: 0.0518 },
         'Mo': { 92: 0.1484, 94: 0.0925, 95: 0.1592, 96: 0.1668, 97: 0.0955, 98: 0.2413, 100: 0.0963 },
         'Lu': { 175: 0.9741, 176: 0.0259 },
@@ -22,11 +22,67 @@ export const NuclearData = {
         'Ir': { 191: 0.373, 193: 0.627 },
         'Co': { 59: 1.0 },
         'Cu': { 63: 0.6915, 65: 0.3085 },
-        'Sc': { 45: 1.0 }
+        'Sc': { 45: 1.0 },
+        'Y': { 89: 1.0 },
+        'Te': { 120: 0.0009, 122: 0.0255, 123: 0.0089, 124: 0.0474, 125: 0.0707, 126: 0.1884, 128: 0.3174, 130: 0.3408 },
+        'Yb': { 168: 0.00123, 170: 0.02982, 171: 0.1409, 172: 0.2168, 173: 0.16103, 174: 0.32026, 176: 0.12996 },
+        'Xe': { 124: 0.00095, 126: 0.00089, 128: 0.0191, 129: 0.2640, 130: 0.0407, 131: 0.2123, 132: 0.2691, 134: 0.1044, 136: 0.0886 }
+    },
+
+    // Isotopic masses (u, AME2020, 4 d.p.)
+    isotopicMasses: {
+        'Zn': { 64: 63.9291, 66: 65.9260, 67: 66.9271, 68: 67.9248, 70: 69.9253 },
+        'Ti': { 46: 45.9526, 47: 46.9518, 48: 47.9479, 49: 48.9479, 50: 49.9448 },
+        'Mo': { 92: 91.9068, 94: 93.9051, 95: 94.9058, 96: 95.9047, 97: 96.9060, 98: 97.9054, 100: 99.9075 },
+        'Lu': { 175: 174.9408, 176: 175.9427 },
+        'Ho': { 165: 164.9303 },
+        'Sm': { 144: 143.9120, 147: 146.9149, 148: 147.9148, 149: 148.9172, 150: 149.9173, 152: 151.9197, 154: 153.9222 },
+        'Dy': { 156: 155.9243, 158: 157.9244, 160: 159.9252, 161: 160.9269, 162: 161.9268, 163: 162.9287, 164: 163.9292 },
+        'Re': { 185: 184.9530, 187: 186.9558 },
+        'Au': { 197: 196.9666 },
+        'W': { 180: 179.9467, 182: 181.9482, 183: 182.9502, 184: 183.9509, 186: 185.9544 },
+        'Sn': { 112: 111.9048, 114: 113.9028, 115: 114.9033, 116: 115.9017, 117: 116.9030, 118: 117.9016, 119: 118.9033, 120: 119.9022, 122: 121.9034, 124: 123.9053 },
+        'Ir': { 191: 190.9606, 193: 192.9629 },
+        'Co': { 59: 58.9332 },
+        'Cu': { 63: 62.9296, 65: 64.9278 },
+        'Sc': { 45: 44.9559 },
+        'Y': { 89: 88.9058 },
+        'Te': { 120: 119.9041, 122: 121.9030, 123: 122.9043, 124: 123.9028, 125: 124.9044, 126: 125.9033, 128: 127.9045, 130: 129.9062 },
+        'Yb': { 168: 167.9339, 170: 169.9348, 171: 170.9363, 172: 171.9364, 173: 172.9382, 174: 173.9389, 176: 175.9426 },
+        'Xe': { 124: 123.9059, 126: 125.9043, 128: 127.9035, 129: 128.9048, 130: 129.9035, 131: 130.9051, 132: 131.9042, 134: 133.9054, 136: 135.9072 }
+    },
+
+    // Atomic numbers (Z) of target, chemical-form and moderator elements (transport exports)
+    atomicNumbers: {
+        'H': 1, 'Be': 4, 'C': 6, 'N': 7, 'O': 8, 'Sc': 21, 'Ti': 22, 'Co': 27, 'Cu': 29, 'Zn': 30,
+        'Y': 39, 'Mo': 42, 'Sn': 50, 'Te': 52, 'Xe': 54, 'Sm': 62, 'Dy': 66, 'Ho': 67, 'Yb': 70,
+        'Lu': 71, 'W': 74, 'Re': 75, 'Ir': 77, 'Au': 79
+    },
+
+    // Default neutron energy group structure (fastest last).
+    // Spectra and group-wise cross-sections are objects keyed by group id;
+    // any other key set can be used as long as source and pathway agree.
+    // Spectrum values are group-integrated fluxes φ_g (cm^-2 s^-1), never per unit lethargy.
+    energyGroups: [
+        { id: 'thermal', label: 'Thermal', lower_eV: 0, upper_eV: 0.625 },
+        { id: 'epithermal', label: 'Epithermal', lower_eV: 0.625, upper_eV: 1.0e5 },
+        { id: 'fast', label: 'Fast', lower_eV: 1.0e5, upper_eV: 1.0e7 },
+        { id: 'dt14', label: 'D-T Peak (14 MeV)', lower_eV: 1.0e7, upper_eV: 2.0e7 }
+    ],
+
+    /**
+     * Lethargy width of an energy group
+     * @param {string} groupId
+     * @returns {number|null} Δu = ln(E_upper / E_lower), null for unknown or zero-based groups
+     */
+    groupLethargyWidth: function (groupId) {
+        const group = this.energyGroups.find(g => g.id === groupId);
+        return group && group.lower_eV > 0 ? Math.log(group.upper_eV / group.lower_eV) : null;
     },
 
     /**
      * Get natural isotopic abundance
+     * Callers must treat null as "no data" (never as 100%).
      * @param {string} elementSymbol 
      * @param {number} massNumber 
      * @returns {number|null} Abundance fraction or null
@@ -35,5 +91,26 @@ export const NuclearData = {
         if (!this.isotopicAbundances[elementSymbol]) return null;
         const abundances = this.isotopicAbundances[elementSymbol];
         return abundances[massNumber] !== undefined ? abundances[massNumber] : null;
+    },
+
+    /**
+     * Get atomic number
+     * @param {string} elementSymbol
+     * @returns {number|null} Z or null
+     */
+    getAtomicNumber: function (elementSymbol) {
+        return this.atomicNumbers[elementSymbol] || null;
+    },
+
+    /**
+     * Get isotopic mass
+     * @param {string} elementSymbol 
+     * @param {number} massNumber 
+     * @returns {number|null} Mass (u) or null
+     */
+    getIsotopicMass: function (elementSymbol, massNumber) {
+        if (!this.isotopicMasses[elementSymbol]) return null;
+        const masses = this.isotopicMasses[elementSymbol];
+        return masses[massNumber] !== undefined ? masses[massNumber] : null;
     }
 };
@@ -3,35 +3,75 @@
  * 
  * Unified Isotope Production Pathways Registry.
  * Consolidates physics parameters and impurity risks.
+ *
+ * target.burnup_parent: true -> target (parent) depletion is modeled during irradiation
+ *   (same key as production.burnup_parent in the legacy ISOTOPE_PATHWAYS entries)
+ * target.enrichment -> default target isotope atom fraction (natural abundance if absent)
+ * target.threshold_MeV -> threshold reactions ((n,p), (n,α)): no production from groups
+ *   entirely below it; the run is blocked when the source has no flux above it
+ * crossSection.thermal / resonance -> 2200 m/s σ0 and resonance integral I0 (barns)
+ * crossSection.fast / fast_14MeV -> fission-spectrum averaged and 14 MeV σ (barns)
+ * crossSection.groups -> optional explicit σ_g (barns) keyed by energy group id
+ * intermediates -> indirect routes: [{ isotope, halfLife (days), branching }] between the
+ *   captured target and the product, in decay order (crossSection feeds the first one)
+ *
+ * impurities -> co-production channels, each
+ *   { isotope, parent, via, crossSection, branching, halfLife }
+ *   parent: "target", "product", another isotope of the target element
+ *           (e.g. "Lu-175", atoms from the target isotope vector) or an earlier channel
+ *   via: "reaction" (crossSection in barns, same fields as above, optional threshold_MeV)
+ *        or "decay" (branching, default 1)
+ *   halfLife: days, null for a stable intermediate
+ *   Entries with only { isotope, note } are listed but not quantified.
+ *
+ * generator -> parent/daughter column defaults for Generator routes (see core/generator.js)
+ *   { daughter, halfLife (days), branching, elutionInterval (h), efficiency, breakthrough,
+ *     breakthroughLimit (A_parent / A_daughter in the eluate), shelfLife (days) }
  */
 
 export const PathwaysRegistry = [
     // --- THERAPEUTIC / THERANOSTIC ---
 
+    // Lu-176(n,γ) always leaves the product with Lu carrier (same element): LU177_NCA and
+    // LU177_CA differ only in target enrichment. Truly no-carrier-added Lu-177 is LU177_YB.
     {
-        id: "LU177_NCA",
+        id: "LU177_NCA", // legacy id
         category: "Therapy",
-        name: "Lu-177 (n.c.a.)",
-        target: { isotope: "Lu-176", reaction: "(n,γ)", spectrum: "thermal+epithermal" },
+        name: "Lu-177 (c.a., enriched Lu-176)",
+        target: { isotope: "Lu-176", reaction: "(n,γ)", spectrum: "thermal+epithermal", burnup_parent: true, enrichment: 0.82 }, // enriched Lu-176
         product: { isotope: "Lu-177", halfLife: 6.647 }, // days
-        crossSection: { thermal: 2090, burnup: 2.0e-21 }, // barns, cm2
+        crossSection: { thermal: 2090, resonance: 1087, burnup: 2.0e-21 }, // barns, barns, cm2
         chemistry: { yield: 0.9, separation: "direct" },
-        impurities: ["Lu-177m", "Lu-178"],
+        impurities: [
+            { isotope: "Lu-177m", parent: "target", via: "reaction", crossSection: { thermal: 2.8 }, halfLife: 160.44 },
+            { isotope: "Lu-178", parent: "product", via: "reaction", crossSection: { thermal: 2000 }, halfLife: 0.0197 } // 28.4 min
+        ],
         warnings: ["Resonance Dominated", "Product Burnup Critical"]
     },
     {
         id: "LU177_CA",
-        // Note: Legacy route implied, added for completeness or if needed, 
-        // but arguably LU177_NCA covers the main interest. 
-        // Kept simple for now.
         category: "Therapy",
-        name: "Lu-177 (c.a.)",
-        // carrier-added usually means lower specific activity, same reaction physically
-        target: { isotope: "Lu-176", reaction: "(n,γ)", spectrum: "thermal" },
+        name: "Lu-177 (c.a., natural Lu)",
+        target: { isotope: "Lu-176", reaction: "(n,γ)", spectrum: "thermal", burnup_parent: true },
         product: { isotope: "Lu-177", halfLife: 6.647 },
-        crossSection: { thermal: 2090 },
+        crossSection: { thermal: 2090, resonance: 1087 },
         chemistry: { yield: 0.95 },
-        impurities: []
+        impurities: [
+            { isotope: "Lu-177m", parent: "target", via: "reaction", crossSection: { thermal: 2.8 }, halfLife: 160.44 }
+        ]
+    },
+    {
+        id: "LU177_YB",
+        category: "Therapy",
+        name: "Lu-177 (n.c.a., Yb-176)",
+        target: { isotope: "Yb-176", reaction: "(n,γ)", spectrum: "thermal", enrichment: 0.974 }, // enriched Yb-176
+        intermediates: [{ isotope: "Yb-177", halfLife: 0.0796 }], // 1.91 h
+        product: { isotope: "Lu-177", halfLife: 6.647 },
+        crossSection: { thermal: 2.85, resonance: 7.0 }, // Yb-176 section
+        chemistry: { yield: 0.8, separation: "Lu/Yb extraction chromatography" },
+        impurities: [
+            { isotope: "Yb-175", note: "from Yb-174, removed in Lu/Yb separation" }
+        ]
     },
     {
         id: "HO166",
@@ -39,9 +79,11 @@ export const PathwaysRegistry = [
         name: "Ho-166",
         target: { isotope: "Ho-165", reaction: "(n,γ)", spectrum: "thermal" },
         product: { isotope: "Ho-166", halfLife: 1.117 }, // 26.8 hrs ~ 1.12 days
-        crossSection: { thermal: 60 }, // barns
+        crossSection: { thermal: 60, resonance: 670 }, // barns
         chemistry: { yield: 0.95, mode: "microsphere" },
-        impurities: []
+        impurities: [
+            { isotope: "Ho-166m", parent: "target", via: "reaction", crossSection: { thermal: 3.5 }, halfLife: 438300 } // 1200 y
+        ]
     },
     {
         id: "SM153",
@@ -49,9 +91,14 @@ export const PathwaysRegistry = [
         name: "Sm-153",
         target: { isotope: "Sm-152", reaction: "(n,γ)", spectrum: "thermal" },
         product: { isotope: "Sm-153", halfLife: 1.93 },
-        crossSection: { thermal: 206 },
+        crossSection: { thermal: 206, resonance: 2970 },
         chemistry: { yield: 0.9 },
-        impurities: ["Eu-154 (long-lived)"]
+        impurities: [
+            { isotope: "Eu-153", parent: "product", via: "decay", halfLife: null },
+            { isotope: "Eu-154", parent: "Eu-153", via: "reaction", crossSection: { thermal: 312, resonance: 1420 }, halfLife: 3138 },
+            { isotope: "Sm-155", parent: "Sm-154", via: "reaction", crossSection: { thermal: 8.4, resonance: 32 }, halfLife: 0.01541 }, // 22.2 min
+            { isotope: "Eu-155", parent: "Sm-155", via: "decay", halfLife: 1737 }
+        ]
     },
 
     // --- GENERATORS ---
@@ -60,22 +107,38 @@ export const PathwaysRegistry = [
         id: "MO99_TC99M",
         category: "Generator",
         name: "Mo-99 / Tc-99m",
-        target: { isotope: "Mo-98", reaction: "(n,γ)", spectrum: "thermal" },
+        target: { isotope: "Mo-98", reaction: "(n,γ)", spectrum: "thermal", burnup_parent: true },
         product: { isotope: "Mo-99", halfLife: 2.75 },
-        crossSection: { thermal: 0.13 },
+        crossSection: { thermal: 0.13, resonance: 6.9 },
         chemistry: { yield: 0.85, mode: "generator" },
-        impurities: ["Mo-100", "Tc-99g"],
+        impurities: [
+            { isotope: "Mo-101", parent: "Mo-100", via: "reaction", crossSection: { thermal: 0.199, resonance: 3.8 }, halfLife: 0.01014 }, // 14.6 min
+            { isotope: "Tc-99g", parent: "product", via: "decay", branching: 0.124, halfLife: 7.71e7 } // direct branch only
+        ],
+        generator: {
+            daughter: "Tc-99m", halfLife: 0.2503, branching: 0.876, // 6.01 h
+            elutionInterval: 24, efficiency: 0.9, breakthrough: 1e-5,
+            breakthroughLimit: 1.5e-4, shelfLife: 14 // 0.15 µCi Mo-99 per mCi Tc-99m (USP)
+        },
         warnings: ["Generator Decay Sensitive"]
     },
     {
         id: "W188_RE188",
         category: "Generator",
         name: "W-188 / Re-188",
-        target: { isotope: "W-186", reaction: "(n,γ)", spectrum: "thermal" },
+        target: { isotope: "W-186", reaction: "(n,γ)", spectrum: "thermal", burnup_parent: true },
         product: { isotope: "W-188", halfLife: 69.4 },
-        crossSection: { thermal: 37.9 }, // 37.9 barns
-        chemistry: { yield: 0.85 },
-        impurities: ["Re-187"]
+        crossSection: { thermal: 37.9, resonance: 480 }, // 37.9 barns
+        chemistry: { yield: 0.85, mode: "generator" },
+        generator: {
+            daughter: "Re-188", halfLife: 0.7083, branching: 1.0, // 17.0 h
+            elutionInterval: 24, efficiency: 0.8, breakthrough: 1e-6,
+            breakthroughLimit: 1e-5, shelfLife: 180
+        },
+        impurities: [
+            { isotope: "W-185", parent: "W-184", via: "reaction", crossSection: { thermal: 1.7, resonance: 14 }, halfLife: 75.1 },
+            { isotope: "Re-187", note: "stable, from W-187 decay" }
+        ]
     },
 
     // --- DIAGNOSTIC / OTHER ---
@@ -86,9 +149,11 @@ export const PathwaysRegistry = [
         name: "Cu-64",
         target: { isotope: "Cu-63", reaction: "(n,γ)", spectrum: "thermal" },
         product: { isotope: "Cu-64", halfLife: 0.53 },
-        crossSection: { thermal: 4.5 },
+        crossSection: { thermal: 4.5, resonance: 5.0 },
         chemistry: { yield: 0.9 },
-        impurities: ["Cu-65"]
+        impurities: [
+            { isotope: "Cu-66", parent: "Cu-65", via: "reaction", crossSection: { thermal: 2.17, resonance: 2.2 }, halfLife: 0.003542 } // 5.1 min
+        ]
     },
     {
         id: "Y90",
@@ -96,19 +161,36 @@ export const PathwaysRegistry = [
         name: "Y-90",
         target: { isotope: "Y-89", reaction: "(n,γ)", spectrum: "thermal" },
         product: { isotope: "Y-90", halfLife: 2.67 },
-        crossSection: { thermal: 1.28 },
+        crossSection: { thermal: 1.28, resonance: 1.0 },
         chemistry: { yield: 0.9 },
-        impurities: ["Y-91", "Sr-90"]
+        impurities: [
+            { isotope: "Y-91", parent: "product", via: "reaction", crossSection: { thermal: 3.5 }, halfLife: 58.51 },
+            { isotope: "Sr-90", note: "not formed by Y-89 activation; generator breakthrough reference" }
+        ]
     },
     {
         id: "I125",
         category: "Brachytherapy",
         name: "I-125",
-        target: { isotope: "Xe-124", reaction: "(n,γ) -> decay", spectrum: "thermal" },
+        target: { isotope: "Xe-124", reaction: "(n,γ)", spectrum: "thermal" },
+        intermediates: [{ isotope: "Xe-125", halfLife: 0.704 }], // 16.9 h
         product: { isotope: "I-125", halfLife: 59.4 },
-        crossSection: { thermal: 165 }, // Xe-124 section
+        crossSection: { thermal: 165, resonance: 2950 }, // Xe-124 section
         chemistry: { yield: 0.85 },
-        impurities: ["I-126"]
+        impurities: [
+            { isotope: "I-126", parent: "product", via: "reaction", crossSection: { thermal: 894 }, halfLife: 12.93 }
+        ]
+    },
+    {
+        id: "I131_TE",
+        category: "Therapy",
+        name: "I-131 (Te-130)",
+        target: { isotope: "Te-130", reaction: "(n,γ)", spectrum: "thermal" },
+        intermediates: [{ isotope: "Te-131", halfLife: 0.01736 }], // 25.0 min
+        product: { isotope: "I-131", halfLife: 8.025 },
+        crossSection: { thermal: 0.27, resonance: 0.26 }, // Te-130 -> Te-131 (ground state)
+        chemistry: { yield: 0.9, separation: "dry distillation" },
+        impurities: []
     },
 
     // --- FAST NEUTRON ---
@@ -117,20 +199,27 @@ export const PathwaysRegistry = [
         id: "CU67_FAST",
         category: "Theranostic (Fast)",
         name: "Cu-67 (Fast n,p)",
-        target: { isotope: "Zn-67", reaction: "(n,p)", spectrum: "fast" },
+        target: { isotope: "Zn-67", reaction: "(n,p)", spectrum: "fast", threshold_MeV: 2.0 },
         product: { isotope: "Cu-67", halfLife: 2.58 },
-        crossSection: { fast_14MeV: 0.100 }, // ~100 mb
+        crossSection: { fast: 0.0011, fast_14MeV: 0.100 }, // ~1 mb fission avg, ~100 mb at 14 MeV
         chemistry: { yield: 0.7, mode: "difficult" },
+        impurities: [
+            { isotope: "Cu-64", parent: "Zn-64", via: "reaction", crossSection: { fast: 0.031, fast_14MeV: 0.17 }, threshold_MeV: 2.0, halfLife: 0.529 } // (n,p)
+        ],
         warnings: ["Fast Neutron Only", "Recoil Losses"]
     },
     {
         id: "SC47_FAST",
         category: "Theranostic (Fast)",
         name: "Sc-47 (Fast n,p)",
-        target: { isotope: "Ti-47", reaction: "(n,p)", spectrum: "fast" },
+        target: { isotope: "Ti-47", reaction: "(n,p)", spectrum: "fast", threshold_MeV: 3.0 },
         product: { isotope: "Sc-47", halfLife: 3.35 },
-        crossSection: { fast_14MeV: 0.080 }, // ~80 mb
+        crossSection: { fast: 0.018, fast_14MeV: 0.080 }, // ~18 mb fission avg, ~80 mb at 14 MeV
         chemistry: { yield: 0.8 },
+        impurities: [
+            { isotope: "Sc-46", parent: "Ti-46", via: "reaction", crossSection: { fast: 0.0115, fast_14MeV: 0.25 }, threshold_MeV: 3.0, halfLife: 83.79 }, // (n,p)
+            { isotope: "Sc-48", parent: "Ti-48", via: "reaction", crossSection: { fast: 0.0003, fast_14MeV: 0.06 }, threshold_MeV: 5.5, halfLife: 1.82 } // (n,p)
+        ],
         warnings: ["Fast Neutron Only"]
     }
 ];
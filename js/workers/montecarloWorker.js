@@ -0,0 +1,28 @@
+/**
+ * montecarloWorker.js
+ *
+ * Web Worker running MonteCarlo transport off the UI thread (module worker).
+ *
+ * Messages in:  { type: 'run', problem, histories, seed }
+ * Messages out: { type: 'progress', histories, total }
+ *               { type: 'result', results }   // MonteCarlo.results
+ *               { type: 'error', message }
+ */
+
+import { MonteCarlo } from '../core/montecarlo.js';
+
+self.onmessage = (e) => {
+    const { type, problem, histories, seed } = e.data;
+    if (type !== 'run') return;
+
+    try {
+        const state = MonteCarlo.createRun(problem, seed);
+        while (state.histories < histories) {
+            MonteCarlo.runHistories(state, Math.min(MonteCarlo.BATCH, histories - state.histories));
+            self.postMessage({ type: 'progress', histories: state.histories, total: histories });
+        }
+        self.postMessage({ type: 'result', results: MonteCarlo.results(state) });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
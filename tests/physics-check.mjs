@@ -0,0 +1,163 @@
+/**
+ * physics-check.mjs
+ *
+ * Revalidation checks for the numerical kernels against closed-form results
+ * (see the PHYSICS CORE note in js/core/model.js).
+ * No dependencies: node tests/physics-check.mjs  (exit code 1 on any failure)
+ */
+
+import { Model } from '../js/core/model.js';
+import { Spatial } from '../js/core/spatial.js';
+import { MonteCarlo } from '../js/core/montecarlo.js';
+import { Generator } from '../js/core/generator.js';
+import { Diffusion } from '../js/core/diffusion.js';
+
+const DAY = 86400;
+let failures = 0;
+
+/**
+ * Compare a computed value with its reference
+ * @param {string} name - Check label
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} relTol - Allowed relative difference |actual - expected| / |expected|
+ */
+function check(name, actual, expected, relTol) {
+    const rel = expected !== 0 ? Math.abs(actual - expected) / Math.abs(expected) : Math.abs(actual);
+    const ok = Number.isFinite(actual) && rel <= relTol;
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'}  ${name}: ${actual.toExponential(6)} vs ${expected.toExponential(6)} ` +
+        `(rel ${rel.toExponential(1)}, tol ${relTol.toExponential(0)})`);
+}
+
+// --- Matrix exponential vs closed-form Bateman: W-188 -> Re-188 -> Os-188 (stable) ---
+{
+    const l1 = Model.decayConstant(69.78);
+    const l2 = Model.decayConstant(0.7083);
+    const A = [[-l1, 0, 0], [l1, -l2, 0], [0, l2, 0]];
+    const N0 = 1e20;
+    [1, 10, 100, 365].forEach(d => {
+        const t = d * DAY;
+        const e1 = Math.exp(-l1 * t);
+        const e2 = Math.exp(-l2 * t);
+        const exact = [
+            N0 * e1,
+            N0 * l1 / (l2 - l1) * (e1 - e2),
+            N0 * (1 - (l2 * e1 - l1 * e2) / (l2 - l1))
+        ];
+        const N = Model.batemanMatrixExponential([N0, 0, 0], A, t);
+        ['W-188', 'Re-188', 'Os-188'].forEach((name, i) => check(`expm ${name} at ${d} d`, N[i], exact[i], 1e-12));
+    });
+}
+
+// --- Coupled activation chain vs closed form: Lu-176 (n,γ) Lu-177 with target and product burn-up ---
+// N_p(t) = N0 k / (Λ - k) (exp(-k t) - exp(-Λ t)),  k = σ φ,  Λ = λ + σ_burn φ; then pure decay
+{
+    const phi = 1e14;
+    const sigma = 2090e-24;
+    const sigma_burn = 2.0e-21;
+    const lambda = Model.decayConstant(6.647);
+    const N0 = 1e20;
+    const nuclides = [
+        { name: 'Lu-176', lambda: 0, sigma_abs_cm2: sigma, captures: [{ to: 1, sigma_cm2: sigma }], decays: [] },
+        { name: 'Lu-177', lambda, sigma_abs_cm2: sigma_burn, captures: [], decays: [] }
+    ];
+    const t_irr = 14 * DAY;
+    const t_cool = 3 * DAY;
+    const result = Model.activationDecayChain({ nuclides, N0: [N0, 0], phi, t_irr, t_cool });
+    const k = sigma * phi;
+    const L = lambda + sigma_burn * phi;
+    const N_p = N0 * k / (L - k) * (Math.exp(-k * t_irr) - Math.exp(-L * t_irr));
+    check('chain Lu-176 at EOB', result.N_EOB[0], N0 * Math.exp(-k * t_irr), 1e-10);
+    check('chain Lu-177 at EOB', result.N_EOB[1], N_p, 1e-10);
+    check('chain Lu-177 after cooling', result.N_cooled[1], N_p * Math.exp(-lambda * t_cool), 1e-10);
+}
+
+// --- Generator ingrowth maximum: Mo-99 / Tc-99m ---
+// t_max = ln(λ_d / λ_p) / (λ_d - λ_p);  A_d(t) = BR A_p λ_d / (λ_d - λ_p) (exp(-λ_p t) - exp(-λ_d t))
+{
+    const generator = { parentHalfLife: 2.75, halfLife: 0.2503, branching: 0.876 };
+    const lp = Model.decayConstant(generator.parentHalfLife);
+    const ld = Model.decayConstant(generator.halfLife);
+    const A_p = 1e12;
+    const daughter = t => generator.branching * A_p * ld / (ld - lp) * (Math.exp(-lp * t) - Math.exp(-ld * t));
+    const t_max = Generator.timeOfMaxDaughter(generator);
+    check('generator t_max (h)', t_max / 3600, Math.log(ld / lp) / (ld - lp) / 3600, 1e-12);
+    check('generator t_max vs tabulated ~22.9 h', t_max / 3600, 22.9, 0.01);
+    const atMax = Generator.ingrowth(A_p, generator, t_max).daughter_Bq;
+    check('generator A_d at t_max', atMax, daughter(t_max), 1e-10);
+    const before = Generator.ingrowth(A_p, generator, 0.99 * t_max).daughter_Bq;
+    const after = Generator.ingrowth(A_p, generator, 1.01 * t_max).daughter_Bq;
+    check('generator A_d is a maximum at t_max', Math.max(before, after) < atMax ? 1 : 0, 1, 0);
+}
+
+// --- One-group diffusion vs analytic: uniform source, Marshak vacuum boundary (-D φ' = φ / 2) ---
+// Slab half-width a (symmetric): φ = Q/Σa (1 - cosh(x/L) / (cosh(a/L) + 2D/L sinh(a/L)))
+// Sphere radius R: φ = Q/Σa - B sinh(r/L) / r,  B = Q/(2Σa) / (D (cosh(R/L)/(L R) - sinh(R/L)/R²) + sinh(R/L)/(2R))
+{
+    const D = 1.2;
+    const sigmaA = 0.02;
+    const Q = 1e8;
+    const L = Math.sqrt(D / sigmaA);
+    const material = { D: [D], sigmaA: [sigmaA], scatter: [[0]] };
+
+    const a = 20;
+    const slab = Diffusion.solve1D({
+        geometry: Diffusion.GEOMETRIES.SLAB, groups: 1, mesh_cm: 0.02,
+        regions: [{ outer_cm: a, material, source: [Q] }], targets: [0.01, 10, 19.99]
+    });
+    const C = 1 / (Math.cosh(a / L) + 2 * D / L * Math.sinh(a / L));
+    const slabFlux = x => Q / sigmaA * (1 - C * Math.cosh(x / L));
+    slab.targets.forEach(t => check(`diffusion slab φ(${t.x_cm} cm)`, t.phi[0], slabFlux(t.x_cm), 1e-4));
+    check('diffusion slab surface flux', slab.surfaceFlux[0], slabFlux(a), 1e-4);
+
+    const R = 15;
+    const sphere = Diffusion.solve1D({
+        geometry: Diffusion.GEOMETRIES.SPHERE, groups: 1, mesh_cm: 0.02,
+        regions: [{ outer_cm: R, material, source: [Q] }], targets: [0.01, 7.5, 14.99]
+    });
+    const B = Q / (2 * sigmaA) /
+        (D * (Math.cosh(R / L) / (L * R) - Math.sinh(R / L) / (R * R)) + Math.sinh(R / L) / (2 * R));
+    const sphereFlux = r => Q / sigmaA - B * Math.sinh(r / L) / r;
+    sphere.targets.forEach(t => check(`diffusion sphere φ(${t.x_cm} cm)`, t.phi[0], sphereFlux(t.x_cm), 1e-4));
+    check('diffusion sphere surface flux', sphere.surfaceFlux[0], sphereFlux(R), 1e-4);
+}
+
+// --- Spatial integration vs exact mean point-source flux over a thin disk ---
+// <φ> / φ(0, 0, d) = (d² / r²) ln(1 + r² / d²); the 16×16 midpoint grid is ~1 % low at d = r
+{
+    [[2, 2], [2, 6], [1, 10]].forEach(([r, d]) => {
+        const geometry = { shape: 'disk', radius: r, thickness: 1e-3, distance_cm: d };
+        const result = Spatial.integrate(geometry, { type: 'point', minDistance_cm: 0.1 });
+        check(`spatial disk r = ${r} cm, d = ${d} cm`, result.meanFactor, (d * d) / (r * r) * Math.log(1 + (r * r) / (d * d)), 0.02);
+        check(`spatial disk volume r = ${r} cm`, result.volume_cm3, Math.PI * r * r * 1e-3, 1e-12);
+    });
+}
+
+// --- Solid-angle flux normalisation and its near-field accuracy (Model.fluxFromSolidAngle) ---
+{
+    const S = 1e10;
+    const r = 1;
+    const d = 4; // d > 3r: no console warning
+    const phi = Model.fluxFromSolidAngle(S, Model.solidAngle(d, r), Math.PI * r * r, d, r);
+    const exact = S * Math.log(1 + (r * r) / (d * d)) / (4 * Math.PI * r * r);
+    check('solid-angle flux, S Ω / (4π A)', phi, S * (1 - d / Math.sqrt(d * d + r * r)) / (2 * Math.PI * r * r), 1e-12);
+    check('solid-angle flux / exact disk mean, d = 4r', phi / exact, 0.98498, 1e-4);
+}
+
+// --- Monte Carlo track-length tally vs exact mean flux over a thin disk (bare point source) ---
+// φ = ln(1 + r² / d²) / (4π r²) per source neutron; fixed seed, tolerance ~4σ
+{
+    const r = 2;
+    const d = 2;
+    const geometry = { shape: 'disk', radius: r, thickness: 0.1, distance_cm: d, offsetX_cm: 0 };
+    const { problem } = MonteCarlo.scenarioProblem({
+        sourceType: 'dt_generator', sourceParams: { yieldRate_n_s: 1 }, distance_cm: d, geometry
+    });
+    const tally = MonteCarlo.run(problem, { histories: 200000, seed: 1 }).tallies[0];
+    check(`Monte Carlo disk flux (±${(tally.totalRelError * 100).toFixed(2)} %)`, tally.total,
+        Math.log(1 + (r * r) / (d * d)) / (4 * Math.PI * r * r), 4 * tally.totalRelError);
+}
+
+console.log(failures === 0 ? '\nAll checks passed' : `\n${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;